@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * Command-line interface entry point.
+ * @see src/cli.js
+ */
+
+const { main, interrupt, exitCodes } = require('../src/cli')
+
+// The session state is only written once per 'journalSaveInterval' ms (see
+// Journal) : the latest one is saved before exiting.
+process.once('SIGINT', () => {
+  interrupt()
+  process.stderr.write("\nInterrupted : use the 'resume' command to continue the session.\n")
+  process.exit(exitCodes.interrupted)
+})
+
+main(process.argv.slice(2)).then(code => process.exit(code))
@@ -0,0 +1,286 @@
+const fs = require('fs')
+const slugify = require('@sindresorhus/slugify')
+const urlParse = require('url-parse')
+const actions = require('./actions')
+const { writeFile } = require('./utils/fs')
+const { matchesPattern } = require('./utils/url')
+const { sessionToFilePath } = require('./utils/default_storage')
+
+/**
+ * Handles authenticated crawling (session-level 'auth' setting).
+ *
+ * Supports HTTP basic auth, custom request headers, and form login. Secrets
+ * are never written in config : they are read from environment variables.
+ *
+ * After a successful form login, cookies and localStorage are persisted in
+ * 'data/sessions/<sessionName>.auth.json', so that subsequent runs don't need
+ * to log in again. When a logged-out page is detected during the crawl (e.g.
+ * the session expired), the login form is submitted again.
+ *
+ * Each browser context has its own instance (and its own persisted state). The
+ * 'contexts' setting may override the 'auth' setting by context name, e.g. to
+ * crawl the same site with 2 different accounts.
+ *
+ * @example
+ *  // 'auth' setting :
+ *  {
+ *    "basic": { "usernameEnv": "STAGING_USER", "passwordEnv": "STAGING_PASS" },
+ *    "headers": { "X-Requested-By": "SimpleScraps" },
+ *    "headersFromEnv": { "X-Api-Key": "STAGING_API_KEY" },
+ *    "form": {
+ *      "url": "https://intranet.example.com/user/login",
+ *      "fields": [
+ *        { "selector": "#edit-name", "env": "INTRANET_USER" },
+ *        { "selector": "#edit-pass", "env": "INTRANET_PASS" }
+ *      ],
+ *      "submit": "#edit-submit",
+ *      "successSelector": "body.user-logged-in"
+ *    },
+ *    "loggedOutSelector": "#user-login-form",
+ *    "loggedOutPattern": "/user/login**"
+ *  }
+ */
+class Auth {
+  /**
+   * @param {Main} main instance.
+   * @param {string} context (optional) name of the browser context.
+   */
+  constructor (main, context) {
+    this.main = main
+    this.context = context || null
+    this.state = { cookies: [], localStorage: {} }
+    this.loggingIn = null
+    this.initialized = false
+  }
+
+  /**
+   * Returns the 'auth' setting (of the browser context, if overridden).
+   */
+  getConfig () {
+    const overrides = (this.main.getSetting('contexts') || {})[this.context] || {}
+    if ('auth' in overrides) {
+      return overrides.auth || {}
+    }
+    return this.main.getSetting('auth') || {}
+  }
+
+  /**
+   * Returns the file path where cookies and localStorage are persisted.
+   *
+   * @example
+   *  // Given the setting 'sessionName' = 'intranet.example.com' :
+   *  // Expected output : 'data/sessions/intranet-example-com.auth.json'
+   *  // (or 'data/sessions/intranet-example-com.account-b.auth.json' for the
+   *  // browser context 'account-b')
+   *  console.log(auth.getFilePath())
+   */
+  getFilePath () {
+    const suffix = this.context ? `.${slugify(this.context)}.auth.json` : '.auth.json'
+    return sessionToFilePath('data/sessions', this.main.getSessionName(), suffix)
+  }
+
+  /**
+   * Reads given environment variable.
+   */
+  getCredential (envName) {
+    if (!envName || !(envName in process.env)) {
+      throw Error(`Missing environment variable '${envName}' (required by the 'auth' setting)`)
+    }
+    return process.env[envName]
+  }
+
+  /**
+   * Returns the custom request headers (including the ones read from
+   * environment variables).
+   */
+  getHeaders () {
+    const conf = this.getConfig()
+    const headers = { ...conf.headers }
+    Object.keys(conf.headersFromEnv || {}).forEach(header => {
+      headers[header] = this.getCredential(conf.headersFromEnv[header])
+    })
+    return headers
+  }
+
+  /**
+   * Restores persisted cookies and localStorage (if any), or logs in.
+   *
+   * Must run after all pages were set up.
+   * @see Auth.setupPage()
+   *
+   * @param {Page} pageWorker instance used to log in.
+   */
+  async init (pageWorker) {
+    if (this.getConfig().form && this.state.cookies.length) {
+      await pageWorker.page.setCookie(...this.state.cookies)
+    } else if (this.getConfig().form) {
+      await this.login(pageWorker)
+    }
+    this.initialized = true
+  }
+
+  /**
+   * Reads the previously persisted cookies and localStorage.
+   */
+  load () {
+    const conf = this.getConfig()
+    if (conf.form && conf.persist !== false && fs.existsSync(this.getFilePath())) {
+      this.state = JSON.parse(fs.readFileSync(this.getFilePath(), 'utf8'))
+    }
+  }
+
+  /**
+   * Applies HTTP basic auth, custom headers and persisted localStorage to
+   * given page.
+   */
+  async setupPage (pageWorker) {
+    const conf = this.getConfig()
+    const page = pageWorker.page
+
+    if (conf.basic) {
+      await page.authenticate({
+        username: this.getCredential(conf.basic.usernameEnv),
+        password: this.getCredential(conf.basic.passwordEnv)
+      })
+    }
+
+    const headers = this.getHeaders()
+    if (Object.keys(headers).length) {
+      await page.setExtraHTTPHeaders(headers)
+    }
+
+    // Persisted localStorage items are set before any page script runs, unless
+    // the page already has them (they may have been updated since).
+    /* istanbul ignore next */
+    await page.evaluateOnNewDocument(localStorageByOrigin => {
+      const items = localStorageByOrigin[window.location.origin] || {}
+      Object.keys(items).forEach(key => {
+        if (window.localStorage.getItem(key) === null) {
+          window.localStorage.setItem(key, items[key])
+        }
+      })
+    }, this.state.localStorage)
+  }
+
+  /**
+   * Submits the login form.
+   *
+   * Concurrent calls (e.g. several pages detecting at the same time that the
+   * session expired) only log in once.
+   *
+   * @param {Page} pageWorker instance used to log in.
+   */
+  async login (pageWorker) {
+    if (!this.loggingIn) {
+      this.loggingIn = this.submitLoginForm(pageWorker)
+        .finally(() => { this.loggingIn = null })
+    }
+    await this.loggingIn
+  }
+
+  /**
+   * Fills and submits the login form, then persists the resulting cookies and
+   * localStorage.
+   */
+  async submitLoginForm (pageWorker) {
+    const form = this.getConfig().form
+    const page = pageWorker.page
+    const timeout = form.timeout || this.main.getSetting('actionTimeout')
+
+    await page.goto(form.url, { waitUntil: form.waitUntil })
+
+    for (let i = 0; i < form.fields.length; i++) {
+      const field = form.fields[i]
+      await page.waitForSelector(field.selector, { visible: true, timeout })
+      await page.type(field.selector, this.getCredential(field.env))
+    }
+
+    // Additional steps may be required before submitting (e.g. "remember me"
+    // checkboxes, cookie walls).
+    if (form.actions) {
+      await actions.run(pageWorker, form.actions, this.main)
+    }
+
+    // Logins handled in JS may not trigger any navigation.
+    await Promise.all([
+      page.waitForNavigation({ timeout }).catch(() => null),
+      page.click(form.submit)
+    ])
+
+    if (form.successSelector) {
+      await page.waitForSelector(form.successSelector, { timeout }).catch(() => {
+        throw Error(`Login failed : '${form.successSelector}' was not found after submitting ${form.url}`)
+      })
+    }
+    if (await this.isLoggedOut(pageWorker)) {
+      throw Error(`Login failed : still logged out after submitting ${form.url}`)
+    }
+
+    await this.save(pageWorker)
+  }
+
+  /**
+   * Determines if given (already opened) page shows that we're logged out.
+   *
+   * This happens when the page URL matches the 'loggedOutPattern', or when
+   * the page contains the 'loggedOutSelector' (which defaults to the selector
+   * of the first login form field).
+   */
+  async isLoggedOut (pageWorker) {
+    const conf = this.getConfig()
+    if (!conf.form) {
+      return false
+    }
+    if (conf.loggedOutPattern && matchesPattern(pageWorker.page.url(), conf.loggedOutPattern)) {
+      return true
+    }
+    const selector = conf.loggedOutSelector || conf.form.fields[0].selector
+    return Boolean(await pageWorker.page.$(selector))
+  }
+
+  /**
+   * Persists the browser cookies of the login form host and the localStorage
+   * of given page origin.
+   *
+   * Dry runs keep them in memory only (see Main.dryRun()).
+   */
+  async save (pageWorker) {
+    const page = pageWorker.page
+    const client = await page.target().createCDPSession()
+    const { cookies } = await client.send('Network.getAllCookies')
+    await client.detach()
+
+    // The browser also holds the cookies of other hosts (e.g. analytics, or
+    // other sites crawled in the same browser context).
+    const host = urlParse(this.getConfig().form.url).hostname
+    this.state.cookies = cookies.filter(cookie => matchesCookieDomain(host, cookie.domain)).map(cookie => {
+      const { name, value, domain, path, expires, httpOnly, secure, sameSite } = cookie
+      const param = { name, value, domain, path, httpOnly, secure, sameSite }
+      // Session cookies have no expiration date.
+      if (expires > 0) {
+        param.expires = expires
+      }
+      return param
+    })
+
+    /* istanbul ignore next */
+    this.state.localStorage[urlParse(page.url()).origin] = await page.evaluate(
+      () => ({ ...window.localStorage })
+    )
+
+    if (this.getConfig().persist !== false && !this.main.planner) {
+      await writeFile(this.getFilePath(), JSON.stringify(this.state, null, 2))
+    }
+  }
+}
+
+/**
+ * Determines if a cookie of given domain is sent to given host (domains with a
+ * leading dot include subdomains).
+ */
+const matchesCookieDomain = (host, domain) => {
+  domain = domain.replace(/^\./, '')
+  return host === domain || host.endsWith('.' + domain)
+}
+
+module.exports = Auth
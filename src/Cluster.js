@@ -0,0 +1,284 @@
+const { fork } = require('child_process')
+const { serialize, revive } = require('./utils/cluster')
+
+// Events handled by the coordinator itself (they are never emitted by child
+// processes, or their data is sent back through requests).
+const coordinatorEvents = [
+  'pre-queue.operation.extract',
+  'skip.url',
+  'navigation.failed',
+  'page.crashed',
+  'alter.extraction.result',
+  'store.extraction.result',
+  'store.session.failures'
+]
+
+/**
+ * Coordinates the cluster mode ('clusterWorkers' setting).
+ *
+ * The main process (the coordinator) owns the queue, the crawled URLs, the
+ * crawling limits and the host scheduling. It forks 'clusterWorkers' child
+ * processes, each running its own browser and pages, and sends them the URLs
+ * to process along with their queued operations.
+ * @see src/ClusterWorker.js
+ *
+ * Child processes send back the links they find, the extracted entities, the
+ * failures and the navigation outcomes, so that events and the default storage
+ * work the same way as in a single process. The other events the coordinator
+ * listens to are forwarded as well (listeners must be added before the session
+ * starts). Their page worker arguments are replaced by stubs having only the
+ * 'engine' and 'context' properties and the page.url() method.
+ *
+ * The config is sent to child processes as JSON.
+ */
+class Cluster {
+  constructor (main) {
+    this.main = main
+    this.children = []
+    this.lastJobId = 0
+    this.engines = []
+    this.contexts = []
+  }
+
+  /**
+   * Forks the child processes, and waits until their pages are ready.
+   *
+   * @param {array} engines used in this session.
+   * @param {array} contexts names of the browser contexts used in this session.
+   * @return {array} RemotePage instances (1 per page of each child process).
+   */
+  async start (engines, contexts) {
+    this.engines = engines
+    this.contexts = contexts
+    for (let i = 0; i < this.main.getSetting('clusterWorkers'); i++) {
+      this.children.push({ index: i, process: null, alive: false, starting: null, jobs: {} })
+    }
+    // When a child process fails to start, the others must not be orphaned.
+    try {
+      await Promise.all(this.children.map(child => this.startChild(child)))
+    } catch (error) {
+      this.kill()
+      throw error
+    }
+
+    const pages = []
+    this.children.forEach(child => {
+      contexts.forEach(context => {
+        engines.forEach(engine => {
+          for (let i = 0; i < this.main.getSetting('maxParallelPages'); i++) {
+            pages.push(new RemotePage(this, child, engine, context))
+          }
+        })
+      })
+    })
+    return pages
+  }
+
+  /**
+   * Forks given child process (again, if it exited).
+   *
+   * Concurrent calls only fork it once.
+   */
+  startChild (child) {
+    if (child.alive) {
+      return Promise.resolve()
+    }
+    if (!child.starting) {
+      child.starting = new Promise((resolve, reject) => {
+        child.process = fork(require.resolve('./ClusterWorker'))
+        child.process.on('message', message => {
+          if (message.type === 'ready') {
+            child.alive = true
+            resolve()
+            return
+          }
+          if (message.type === 'error') {
+            reject(Error(`Cluster worker ${child.index} failed to start : ${message.error}`))
+            return
+          }
+          this.handleMessage(child, message)
+        })
+        child.process.on('exit', code => {
+          const error = Error(`Cluster worker ${child.index} exited (code ${code})`)
+          child.alive = false
+          reject(error)
+          Object.values(child.jobs).forEach(job => job.reject(error))
+          child.jobs = {}
+        })
+        child.process.send({
+          type: 'init',
+          config: this.getWorkerConfig(),
+          engines: this.engines,
+          contexts: this.contexts,
+          events: this.main.eventNames().filter(name => !coordinatorEvents.includes(name))
+        })
+      }).finally(() => { child.starting = null })
+    }
+    return child.starting
+  }
+
+  /**
+   * Returns the config of child processes.
+   */
+  getWorkerConfig () {
+    const config = { ...this.main.config }
+    config.settings = {
+      ...config.settings,
+      clusterWorkers: 0,
+      journal: false,
+      sessionName: this.main.getSessionName()
+    }
+    return config
+  }
+
+  /**
+   * Handles the messages sent by child processes (other than the one telling
+   * that they're ready).
+   */
+  handleMessage (child, message) {
+    switch (message.type) {
+      case 'result': {
+        const job = child.jobs[message.id]
+        delete child.jobs[message.id]
+        if (job) {
+          job.resolve(message)
+        }
+        break
+      }
+      case 'request':
+        this.respond(child, message)
+        break
+      case 'event':
+        this.main.emit(message.name, ...revive(message.args))
+        break
+    }
+  }
+
+  /**
+   * Runs the request of a child process in the coordinator, then sends the
+   * result back.
+   */
+  async respond (child, message) {
+    const response = { type: 'response', id: message.id }
+    try {
+      response.result = serialize(await this.handleRequest(message.method, revive(message.args)))
+    } catch (error) {
+      response.error = error.message
+    }
+    if (child.alive) {
+      child.process.send(response)
+    }
+  }
+
+  /**
+   * Implements the requests of child processes.
+   * @see ClusterWorker
+   */
+  async handleRequest (method, args) {
+    const main = this.main
+    switch (method) {
+      case 'queueFoundUrls':
+        return main.queueFoundUrls(...args)
+      case 'registerCanonicalUrl':
+        return main.registerCanonicalUrl(...args)
+      case 'skipUrl':
+        return main.skipUrl(...args)
+      case 'addFailure':
+        return main.addFailure(...args)
+      case 'storeEntity': {
+        const [entity, { entityType, bundle, pageWorker }] = args
+        return main.storeEntity(entity, { main, entityType, bundle, pageWorker })
+      }
+      case 'report': {
+        const [url, response, error] = args
+        return main.scheduler.report(url, response && {
+          status: () => response.status,
+          headers: () => response.headers
+        }, error)
+      }
+    }
+    throw Error(`Unknown cluster request '${method}'`)
+  }
+
+  /**
+   * Sends an URL to process (with its operations) to given child process.
+   *
+   * @param {object} child process.
+   * @param {string} key of the URL in the queue (see Main.getQueueKey()).
+   * @param {array} ops operations to process.
+   * @return {object} The result, having the keys 'failed', 'crashed', 'error'
+   *  and 'remaining' (the indexes of the operations that were not processed).
+   */
+  run (child, key, ops) {
+    const id = ++this.lastJobId
+    return new Promise((resolve, reject) => {
+      child.jobs[id] = { resolve, reject }
+      child.process.send({ type: 'job', id, key, ops })
+    })
+  }
+
+  /**
+   * Kills all child processes that did not exit yet.
+   */
+  kill () {
+    this.children.filter(child => child.process && child.process.exitCode === null)
+      .forEach(child => child.process.kill())
+  }
+
+  /**
+   * Stops all child processes (which close their browser).
+   */
+  async stop () {
+    await Promise.all(this.children.filter(child => child.alive).map(child => {
+      return new Promise(resolve => {
+        child.process.once('exit', resolve)
+        child.process.send({ type: 'stop' })
+      })
+    }))
+  }
+}
+
+/**
+ * Represents a page of a child process in the coordinator.
+ *
+ * It implements the page worker methods used by the coordinator's worker
+ * loops. Child processes maintain their own pages.
+ * @see Main.work()
+ */
+class RemotePage {
+  constructor (cluster, child, engine, context) {
+    this.cluster = cluster
+    this.child = child
+    this.engine = engine
+    this.context = context || null
+    this.isRemote = true
+  }
+
+  isHealthy () {
+    return this.child.alive
+  }
+
+  async shouldRecycle () {
+    return false
+  }
+
+  /**
+   * Forks the child process again (when it exited).
+   */
+  async recycle () {
+    await this.cluster.startChild(this.child)
+  }
+
+  hasProfile () {
+    return true
+  }
+
+  /**
+   * @see Cluster.run()
+   */
+  async run (key, ops) {
+    return this.cluster.run(this.child, key, ops)
+  }
+}
+
+module.exports = Cluster
@@ -0,0 +1,244 @@
+const Main = require('./Main')
+const { serialize, revive } = require('./utils/cluster')
+
+/**
+ * Child process of the cluster mode ('clusterWorkers' setting).
+ * @see src/Cluster.js
+ *
+ * It runs its own browser and pages, and processes the URLs sent by the
+ * coordinator (the main process) along with their operations. Everything that
+ * changes the session state (queueing found links, registering canonical URLs,
+ * failures, host scheduling outcomes, extracted entities) is sent back to the
+ * coordinator as requests.
+ */
+class ClusterWorker extends Main {
+  constructor (config) {
+    super(config)
+    this.requests = {}
+    this.lastRequestId = 0
+    this.failedKeys = []
+    this.busyPages = []
+    this.engines = []
+    this.contexts = []
+
+    // The coordinator schedules hosts : navigations are only reported.
+    this.scheduler = {
+      acquire: async () => {},
+      release: () => {},
+      report: (url, response, error) => this.notify('report', url, response && {
+        status: response.status(),
+        headers: response.headers()
+      }, error),
+      getDelay: () => 0
+    }
+  }
+
+  /**
+   * Pages are created for the engines and contexts of the coordinator (which
+   * also include those of the resumed queue).
+   */
+  getEngines () {
+    return this.engines
+  }
+
+  getContexts () {
+    return this.contexts
+  }
+
+  /**
+   * Sends a request to the coordinator.
+   *
+   * @param {string} method (see Cluster.handleRequest()).
+   * @param {...any} args
+   * @return {Promise} Resolved with the result sent back by the coordinator.
+   */
+  request (method, ...args) {
+    const id = ++this.lastRequestId
+    const request = {}
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve
+      request.reject = reject
+    })
+    this.requests[id] = request
+    process.send({ type: 'request', id, method, args: serialize(args) })
+    return request.promise
+  }
+
+  /**
+   * Sends a request without waiting for its result (see flush()).
+   */
+  notify (method, ...args) {
+    this.request(method, ...args).catch(error => console.error(error))
+  }
+
+  /**
+   * Waits until all pending requests are answered.
+   */
+  async flush () {
+    await Promise.all(Object.values(this.requests).map(request => request.promise.catch(() => {})))
+  }
+
+  handleResponse (message) {
+    const request = this.requests[message.id]
+    delete this.requests[message.id]
+    if (!request) {
+      return
+    }
+    if ('error' in message) {
+      request.reject(Error(message.error))
+    } else {
+      request.resolve(revive(message.result))
+    }
+  }
+
+  async queueFoundUrls (urlsFound, op, baseUrl) {
+    await this.request('queueFoundUrls', urlsFound, op, baseUrl)
+  }
+
+  async registerCanonicalUrl (canonicalUrl) {
+    return this.request('registerCanonicalUrl', canonicalUrl)
+  }
+
+  skipUrl (url, reason, op) {
+    this.notify('skipUrl', url, reason, op)
+  }
+
+  addFailure (key, details, ops) {
+    this.failedKeys.push(key)
+    this.notify('addFailure', key, details, ops)
+  }
+
+  async storeEntity (entity, extractor) {
+    await this.request('storeEntity', entity, {
+      entityType: extractor.entityType,
+      bundle: extractor.bundle,
+      pageWorker: extractor.pageWorker
+    })
+  }
+
+  /**
+   * Sends the events the coordinator listens to (page worker arguments are
+   * replaced by stubs).
+   * @see src/utils/cluster.js
+   *
+   * @param {array} names of the events.
+   */
+  forwardEvents (names) {
+    names.forEach(name => {
+      this.on(name, (...args) => {
+        process.send({ type: 'event', name, args: serialize(args) })
+      })
+    })
+  }
+
+  /**
+   * Processes an URL sent by the coordinator.
+   *
+   * @param {string} key of the URL in the queue (see Main.getQueueKey()).
+   * @param {array} ops the operations to process.
+   * @return {object} The result (see Cluster.run()).
+   */
+  async runJob (key, ops) {
+    ops.forEach(op => this.operations.addItem(key, op))
+    this.operations.lockNextKey(candidate => candidate === key)
+
+    // The coordinator has as many remote pages as there are pages here, so
+    // one of them is always available.
+    const pageWorker = this.pages.find(pageWorker => !this.busyPages.includes(pageWorker) &&
+      this.isWorkerKey(key, pageWorker))
+    this.busyPages.push(pageWorker)
+
+    const result = { error: null, crashed: false }
+    try {
+      await this.process(this.parseQueueKey(key).url, pageWorker)
+    } catch (error) {
+      result.error = error.message
+      result.crashed = !pageWorker.isHealthy()
+    }
+    await this.flush()
+
+    // Operations that were not processed are sent back to the coordinator.
+    const remaining = this.journal.abort(key)
+    while (this.operations.getItemsCount(key)) {
+      remaining.push(this.operations.getItem(key))
+    }
+    this.operations.unlockKey(key)
+    this.operations.flushEmptyKeys()
+    result.remaining = remaining.map(op => ops.indexOf(op))
+    result.failed = this.failedKeys.includes(key)
+    this.failedKeys = this.failedKeys.filter(failedKey => failedKey !== key)
+
+    try {
+      await this.maintainPage(pageWorker)
+    } catch (error) {
+      result.error = result.error || error.message
+      result.crashed = true
+    } finally {
+      this.busyPages.splice(this.busyPages.indexOf(pageWorker), 1)
+    }
+    return result
+  }
+
+  /**
+   * Handles the messages sent by the coordinator.
+   */
+  static listen () {
+    let worker = null
+
+    // When the coordinator exits (or crashes), its child processes must not
+    // keep their browser running.
+    process.on('disconnect', async () => {
+      if (worker) {
+        await worker.stop().catch(() => null)
+      }
+      process.exit(0)
+    })
+
+    process.on('message', async message => {
+      switch (message.type) {
+        case 'init':
+          try {
+            worker = new ClusterWorker(message.config)
+            worker.engines = message.engines
+            worker.contexts = message.contexts
+            worker.forwardEvents(message.events)
+            await worker.init()
+            process.send({ type: 'ready' })
+          } catch (error) {
+            process.send({ type: 'error', error: error.message })
+            process.exit(1)
+          }
+          break
+        case 'job': {
+          // The coordinator waits for a result : unexpected errors are
+          // reported as a crash, so that all operations are queued again.
+          let result = null
+          try {
+            result = await worker.runJob(message.key, message.ops)
+          } catch (error) {
+            result = {
+              error: error.message,
+              crashed: true,
+              remaining: message.ops.map((op, i) => i),
+              failed: false
+            }
+          }
+          process.send({ type: 'result', id: message.id, ...result })
+          break
+        }
+        case 'response':
+          worker.handleResponse(message)
+          break
+        case 'stop':
+          await worker.stop()
+          process.exit(0)
+      }
+    })
+  }
+}
+
+if (require.main === module) {
+  ClusterWorker.listen()
+}
+
+module.exports = ClusterWorker
@@ -1,5 +1,6 @@
 const Hashids = require('hashids')
 const dom = require('./utils/dom')
+const debug = require('./debug')
 const Collection = require('./composite/Collection')
 const Step = require('./composite/Step')
 const Container = require('./composite/Container')
@@ -44,6 +45,7 @@ class Extractor {
     this.result = {}
     this.entityType = entityType
     this.bundle = bundle
+    this.op = op
     this.pageWorker = pageWorker
     this.main = main
 
@@ -144,6 +146,36 @@ class Extractor {
       this.rootComponent = new Leaf(this, this.rootExtractionConfig)
     }
     this.componentsCollection.add(this.rootComponent)
+
+    // Every composite item created during the init phase, including the ones
+    // that are not part of the collections (e.g. selectors matching nothing).
+    // @see src/debug.js
+    this.iterables = []
+  }
+
+  /**
+   * Returns metadata describing how the extracted page was discovered.
+   *
+   * @example
+   *  // Expected output (e.g.) :
+   *  // {
+   *  //   url: 'https://www.chouette.net.br/blog/my-post',
+   *  //   depth: 2,
+   *  //   referrer: 'https://www.chouette.net.br/blog?page=1'
+   *  // }
+   *  console.log(extractor.getMetadata())
+   */
+  getMetadata () {
+    const metadata = {
+      url: this.main.normalizeUrl(this.pageWorker.page.url()),
+      depth: this.op.depth || 0,
+      referrer: this.op.referrer || null
+    }
+    // Pages of named browser contexts may be extracted more than once.
+    if (this.pageWorker.context) {
+      metadata.context = this.pageWorker.context
+    }
+    return metadata
   }
 
   /**
@@ -158,7 +190,8 @@ class Extractor {
    *   Defaults to return the extraction configurations matching this.entityType
    *   and this.bundle. Otherwise, any value passed in this argument simply
    *   matches the corresponding key in main config (except 'start', which
-   *   contains the entry points).
+   *   contains the entry points, and 'actions', which contains the scripted
+   *   page actions by destination).
    *
    * @example
    *   // Given this main configuration object :
@@ -227,8 +260,8 @@ class Extractor {
     let lookupParts = [this.entityType, this.bundle]
 
     if (lookup) {
-      if (lookup === 'start') {
-        throw Error("Cannot map 'start' config in Extractor because it would match entry points (and not extraction configs as expected)")
+      if (lookup === 'start' || lookup === 'actions') {
+        throw Error(`Cannot map '${lookup}' config in Extractor because it would not match extraction configs as expected`)
       }
 
       // Simplest case : just return the matching key.
@@ -244,7 +277,7 @@ class Extractor {
     }
 
     Object.keys(this.main.config)
-      .filter(key => key !== 'start')
+      .filter(key => key !== 'start' && key !== 'actions')
       .map(key => key.split('/'))
       .filter(keyParts => keyParts[0] === lookupParts[0] &&
         (keyParts[1] === lookupParts[1] || keyParts[1] === '*'))
@@ -405,6 +438,8 @@ class Extractor {
       }
     }
 
+    this.iterables.push(instance)
+
     return instance
   }
 
@@ -434,11 +469,14 @@ class Extractor {
     fallbackConfig.component = parentComponent
     delete currentConfig.fallback
 
-    return await this.iterableFactory({
+    const fallbackStep = await this.iterableFactory({
       type: 'step',
       config: { ...currentConfig, ...fallbackConfig },
       newComponent
     })
+    fallbackStep.isFallback = true
+
+    return fallbackStep
   }
 
   /**
@@ -681,6 +719,11 @@ class Extractor {
         break
     }
 
+    // 6. Visual debug mode (optional).
+    if (this.main.getSetting('debugExtraction')) {
+      await debug.save(this)
+    }
+
     return this.result
   }
 
@@ -715,6 +758,7 @@ class Extractor {
     if (!classes.length) {
       return
     }
+    component.differenciatedClasses = classes
 
     const container = component.getParentComponent()
 
@@ -732,6 +776,7 @@ class Extractor {
         type: 'component',
         config
       })
+      newComponent.differenciatedClass = classes[i]
 
       // Debug.
       // const newComponentSelectorMatchCount = await dom.getCount(this.pageWorker.page, newComponent.getSelector())
@@ -1042,6 +1087,12 @@ class Extractor {
         break
       }
       case 'element': {
+        // Configs loaded from JS modules may provide the callback directly (it
+        // runs in the page, and receives the matched elements).
+        if (typeof step.getConf('element') === 'function') {
+          values = await dom.element(this.pageWorker.page, selector, step.getConf('element'))
+          break
+        }
         const event = step.getConf('emit')
         if (!event) {
           step.locate('Error:')
@@ -0,0 +1,204 @@
+const urlParse = require('url-parse')
+
+/**
+ * Schedules navigations by hostname ("politeness" policy).
+ *
+ * For each host, this enforces :
+ * - a minimum interval between 2 navigations (random value between the bounds
+ *   of the 'crawlDelay' setting),
+ * - a maximum number of pages open at the same time ('hostMaxConcurrentPages'
+ *   setting),
+ * - the delay requested in 'Retry-After' response headers,
+ * - an additional delay (backoff) which increases when the host answers with
+ *   throttling status codes (429, 503) or when its error rate rises, and which
+ *   gradually decreases while the host stays healthy.
+ *
+ * @see Main.process()
+ */
+class HostScheduler {
+  constructor (main) {
+    this.main = main
+    this.hosts = {}
+  }
+
+  getHostname (url) {
+    return urlParse(url).hostname
+  }
+
+  /**
+   * Returns the scheduling state of given URL's host (created on the fly).
+   */
+  getHost (url) {
+    const hostname = this.getHostname(url)
+    if (!(hostname in this.hosts)) {
+      this.hosts[hostname] = {
+        active: 0,
+        lastStart: 0,
+        interval: 0,
+        minInterval: 0,
+        backoff: 0,
+        blockedUntil: 0,
+        outcomes: []
+      }
+    }
+    return this.hosts[hostname]
+  }
+
+  /**
+   * Sets a minimum interval between 2 navigations for given URL's host (e.g.
+   * from the robots.txt 'Crawl-delay' directive).
+   *
+   * @param {string} url of any page of the host.
+   * @param {number} interval in milliseconds.
+   */
+  setMinInterval (url, interval) {
+    this.getHost(url).minInterval = interval
+  }
+
+  /**
+   * Returns how long (in ms) to wait before given URL can be opened.
+   *
+   * @return {number} 0 if it can be opened right away, Infinity if the host
+   *  has reached the maximum number of pages open at the same time.
+   */
+  getDelay (url) {
+    const host = this.getHost(url)
+    if (host.active >= this.main.getSetting('hostMaxConcurrentPages')) {
+      return Infinity
+    }
+    const now = Date.now()
+    const interval = Math.max(host.interval, host.minInterval) + host.backoff
+    return Math.max(0, host.lastStart + interval - now, host.blockedUntil - now)
+  }
+
+  /**
+   * Waits until given URL can be opened, then reserves a slot for its host.
+   *
+   * Must be followed by a call to release() once the page is done.
+   */
+  async acquire (url) {
+    let delay = this.getDelay(url)
+    while (delay) {
+      // When the host has no slot left, poll until another page releases one.
+      const amount = delay === Infinity ? 250 : delay
+      await new Promise((resolve, reject) => setTimeout(resolve, amount))
+      delay = this.getDelay(url)
+    }
+
+    const host = this.getHost(url)
+    host.active++
+    host.lastStart = Date.now()
+    host.interval = this.getRandomInterval()
+  }
+
+  /**
+   * Frees the slot reserved by acquire().
+   */
+  release (url) {
+    const host = this.getHost(url)
+    if (host.active > 0) {
+      host.active--
+    }
+  }
+
+  /**
+   * Returns the next interval between navigations (random value between the
+   * bounds of the 'crawlDelay' setting, or the setting itself when it's a
+   * number).
+   */
+  getRandomInterval () {
+    let delayBounds = this.main.getSetting('crawlDelay')
+    if (typeof delayBounds === 'number') {
+      delayBounds = [delayBounds, delayBounds]
+    }
+    if (!delayBounds || !delayBounds.length) {
+      return 0
+    }
+    return delayBounds[0] + (Math.random() * (delayBounds[1] - delayBounds[0]))
+  }
+
+  /**
+   * Adapts the host throttling based on the navigation outcome.
+   *
+   * @param {string} url that was opened.
+   * @param {object} response (optional) Puppeteer HTTPResponse instance. Can
+   *  be null when the navigation failed or did not produce any response.
+   * @param {Error} error (optional) navigation error.
+   */
+  report (url, response, error) {
+    const host = this.getHost(url)
+    const status = response ? response.status() : 0
+    const throttled = this.main.getSetting('hostThrottleStatuses').includes(status)
+    const failed = Boolean(error) || throttled || status >= 500
+
+    host.outcomes.push(failed)
+    while (host.outcomes.length > this.main.getSetting('hostErrorWindow')) {
+      host.outcomes.shift()
+    }
+
+    if (throttled) {
+      const retryAfter = this.parseRetryAfter(response.headers()['retry-after'])
+      if (retryAfter) {
+        host.blockedUntil = Date.now() + retryAfter
+      }
+    }
+
+    // Healthy responses only speed things up once the error rate is back
+    // below the threshold.
+    const unhealthy = this.getErrorRate(url) >= this.main.getSetting('hostErrorRateThreshold')
+    if (throttled || (failed && unhealthy)) {
+      this.slowDown(host)
+    } else if (!failed && !unhealthy) {
+      this.speedUp(host)
+    }
+  }
+
+  /**
+   * Returns the ratio of failed navigations among the last ones for given
+   * URL's host ('hostErrorWindow' setting).
+   */
+  getErrorRate (url) {
+    const outcomes = this.getHost(url).outcomes
+    if (!outcomes.length) {
+      return 0
+    }
+    return outcomes.filter(failed => failed).length / outcomes.length
+  }
+
+  slowDown (host) {
+    const base = Math.max(this.getRandomInterval(), host.minInterval, 1000)
+    host.backoff = Math.min(
+      Math.max(host.backoff * this.main.getSetting('hostBackoffFactor'), base),
+      this.main.getSetting('hostMaxBackoff')
+    )
+  }
+
+  speedUp (host) {
+    host.backoff = host.backoff * this.main.getSetting('hostSpeedUpFactor')
+    if (host.backoff < 100) {
+      host.backoff = 0
+    }
+  }
+
+  /**
+   * Converts the 'Retry-After' header value to milliseconds.
+   *
+   * @param {string} value either a number of seconds, or an HTTP date.
+   * @return {number} The delay in ms (0 if the value could not be parsed).
+   */
+  parseRetryAfter (value) {
+    if (!value) {
+      return 0
+    }
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000
+    }
+    const date = Date.parse(value)
+    if (isNaN(date)) {
+      return 0
+    }
+    return Math.max(0, date - Date.now())
+  }
+}
+
+module.exports = HostScheduler
@@ -0,0 +1,268 @@
+const fs = require('fs')
+const path = require('path')
+const mkdirp = require('mkdirp')
+const { sessionToFilePath } = require('./utils/default_storage')
+
+/**
+ * Keeps track of the crawling session state on disk.
+ *
+ * Allows to resume an interrupted session (crash, OOM, Ctrl-C) exactly where
+ * it stopped : the state file contains the queued operations, the URLs that
+ * were already crawled (and their canonical URLs), the limit counters of each
+ * "follow" block, the URLs that could not be opened, the number of
+ * operations that were already completed (by type and destination), and the
+ * queue keys of the URLs whose operations were all completed.
+ *
+ * Operations being processed when the state is saved are written back in the
+ * queue (and their URL is not listed as completed), so that they get
+ * processed again on resume. The state is written at
+ * most once per 'journalSaveInterval' ms : operations completed since the last
+ * write also get processed again on resume.
+ *
+ * Functions (e.g. 'select' callbacks from JS config files) cannot be written
+ * to disk : sessions having such operations cannot be resumed.
+ *
+ * @see Main.resume()
+ */
+class Journal {
+  constructor (main) {
+    this.main = main
+    this.inFlight = {}
+    this.completed = {}
+    this.completedKeys = []
+    this.startedAt = null
+    this.lastSavedAt = 0
+    this.saveTimer = null
+  }
+
+  /**
+   * Returns the file path where the session state is stored.
+   *
+   * @example
+   *  // Given the setting 'sessionName' = 'www.chouette.net.br.blog' :
+   *  // Expected output : 'data/sessions/www-chouette-net-br-blog.state'
+   *  console.log(journal.getFilePath())
+   */
+  getFilePath () {
+    return sessionToFilePath('data/sessions', this.main.getSessionName(), '.state')
+  }
+
+  /**
+   * Determines if a state was previously saved for current session.
+   */
+  exists () {
+    return fs.existsSync(this.getFilePath())
+  }
+
+  /**
+   * Dry runs never save the session state (see Main.dryRun()).
+   */
+  isEnabled () {
+    return Boolean(this.main.getSetting('journal')) && !this.main.planner
+  }
+
+  /**
+   * Marks an operation as being processed (i.e. it was pulled from the queue).
+   */
+  begin (url, op) {
+    if (!(url in this.inFlight)) {
+      this.inFlight[url] = []
+    }
+    this.inFlight[url].push(op)
+  }
+
+  /**
+   * Marks an operation as completed (and its URL, when it has no other
+   * operation being processed or queued), then saves the session state (see
+   * scheduleSave()).
+   */
+  complete (url, op) {
+    this.discard(url, op)
+    if (!(op.type in this.completed)) {
+      this.completed[op.type] = {}
+    }
+    this.completed[op.type][op.to] = (this.completed[op.type][op.to] || 0) + 1
+    if (!(url in this.inFlight) && !this.main.operations.getItemsCount(url) &&
+      !this.completedKeys.includes(url)) {
+      this.completedKeys.push(url)
+    }
+    this.scheduleSave()
+  }
+
+  /**
+   * Forgets an operation being processed without marking it as completed
+   * (e.g. because it was moved to the failed URLs list).
+   */
+  discard (url, op) {
+    if (!(url in this.inFlight)) {
+      return
+    }
+    const i = this.inFlight[url].indexOf(op)
+    if (i !== -1) {
+      this.inFlight[url].splice(i, 1)
+    }
+    if (!this.inFlight[url].length) {
+      delete this.inFlight[url]
+    }
+  }
+
+  /**
+   * Forgets the operations being processed for given URL (e.g. because the
+   * page processing them crashed).
+   *
+   * @return {array} The operations that were being processed.
+   */
+  abort (url) {
+    const ops = this.inFlight[url] || []
+    delete this.inFlight[url]
+    return ops
+  }
+
+  /**
+   * Returns the serializable session state.
+   *
+   * Operations that are currently being processed are put back at the front
+   * of the queue of their URL.
+   */
+  getState (finished) {
+    const queue = {}
+    const operations = this.main.operations
+
+    Object.keys(this.inFlight).forEach(url => {
+      queue[url] = [...this.inFlight[url]]
+    })
+    operations.getKeys().forEach(url => {
+      if (!(url in queue)) {
+        queue[url] = []
+      }
+      queue[url] = queue[url].concat(operations.getItems(url))
+    })
+
+    return {
+      name: this.main.getSessionName(),
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      finished: Boolean(finished),
+      queue,
+      crawledUrls: this.main.crawledUrls,
+      canonicalUrls: this.main.canonicalUrls,
+      crawlLimits: this.main.crawlLimits,
+      failures: this.main.failures,
+      stats: this.main.stats,
+      completed: this.completed,
+      completedKeys: this.completedKeys,
+      resumable: !containsFunction(queue) && !containsFunction(this.main.failures)
+    }
+  }
+
+  /**
+   * Saves the session state unless it was saved less than
+   * 'journalSaveInterval' ms ago, in which case it gets saved once that delay
+   * is over.
+   */
+  scheduleSave () {
+    if (this.saveTimer) {
+      return
+    }
+    const delay = this.lastSavedAt + this.main.getSetting('journalSaveInterval') - Date.now()
+    if (delay <= 0) {
+      this.save()
+      return
+    }
+    this.saveTimer = setTimeout(() => this.save(), delay)
+    // Pending writes must not keep the process running.
+    this.saveTimer.unref()
+  }
+
+  /**
+   * Writes the session state to disk.
+   *
+   * This is synchronous on purpose : parallel pages complete operations
+   * concurrently, and we want each write to be atomic (write to a temporary
+   * file, then rename it).
+   */
+  save (finished) {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    if (!this.isEnabled()) {
+      return
+    }
+    this.lastSavedAt = Date.now()
+    if (!this.startedAt) {
+      this.startedAt = new Date().toISOString()
+    }
+
+    const filePath = this.getFilePath()
+    const dirname = path.dirname(filePath)
+    if (!fs.existsSync(dirname)) {
+      mkdirp.sync(dirname)
+    }
+
+    fs.writeFileSync(filePath + '.tmp', JSON.stringify(this.getState(finished)))
+    fs.renameSync(filePath + '.tmp', filePath)
+  }
+
+  /**
+   * Marks the session as finished (nothing left to resume).
+   */
+  finish () {
+    this.save(true)
+  }
+
+  /**
+   * Reads the previously saved session state.
+   */
+  load () {
+    if (!this.exists()) {
+      throw Error(`No session state found in ${this.getFilePath()}`)
+    }
+    return JSON.parse(fs.readFileSync(this.getFilePath(), 'utf8'))
+  }
+
+  /**
+   * Restores the previously saved session state into main instance.
+   *
+   * @return {boolean} false if the saved session has nothing left to process.
+   */
+  restore () {
+    const state = this.load()
+    if (state.resumable === false) {
+      throw Error(`Cannot resume session '${this.main.getSessionName()}' : its operations contain functions (e.g. 'select' callbacks from JS config files), which could not be saved in ${this.getFilePath()}`)
+    }
+
+    this.startedAt = state.startedAt
+    this.completed = state.completed || {}
+    this.completedKeys = state.completedKeys || []
+    this.main.crawledUrls = state.crawledUrls || []
+    this.main.canonicalUrls = state.canonicalUrls || []
+    this.main.crawlLimits = state.crawlLimits || {}
+    this.main.failures = state.failures || {}
+    this.main.stats = state.stats || this.main.stats
+
+    if (state.finished) {
+      return false
+    }
+
+    Object.keys(state.queue).forEach(url => {
+      state.queue[url].forEach(op => this.main.operations.addItem(url, op))
+    })
+
+    return this.main.operations.getKeysCount() > 0
+  }
+}
+
+/**
+ * Determines if given value contains functions (which JSON.stringify() would
+ * silently drop).
+ */
+const containsFunction = (value) => {
+  if (typeof value === 'function') {
+    return true
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).some(containsFunction)
+  }
+  return false
+}
+
+module.exports = Journal
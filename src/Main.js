@@ -1,12 +1,32 @@
 const EventEmitter = require('events')
 const puppeteer = require('puppeteer')
 const Page = require('./Page')
+const StaticPage = require('./StaticPage')
 const Queue = require('./Queue')
+const Journal = require('./Journal')
+const HostScheduler = require('./HostScheduler')
+const Robots = require('./Robots')
+const Auth = require('./Auth')
+const Cluster = require('./Cluster')
+const Planner = require('./Planner')
 const Extractor = require('./Extractor')
+const fs = require('fs')
+const actions = require('./actions')
 const cache = require('./cache')
 const output = require('./output')
+const { validate, format } = require('./validate')
+const { load } = require('./config')
 const defaultConfig = require('./utils/default_config')
+const { sessionToFilePath } = require('./utils/default_storage')
+const sitemap = require('./sitemap')
 const dom = require('./utils/dom')
+const { normalize, matchesPattern } = require('./utils/url')
+const slugify = require('@sindresorhus/slugify')
+const urlParse = require('url-parse')
+
+// Config keys defining the conditions for considering a page ready.
+// @see Main.getReadiness()
+const readinessKeys = ['waitUntil', 'waitForSelector', 'waitForFunction', 'settleDelay', 'navigationTimeout']
 
 /**
  * Main "simple scraps" class.
@@ -19,6 +39,25 @@ const dom = require('./utils/dom')
  *
  * @emits pre-queue.operation.extract ({string} urlFound, {object} op)
  *  Allows to skip extracting given URL.
+ * @emits skip.url ({string} url, {string} reason, {object} op)
+ *  Reports URLs that were not queued. Possible reasons : 'domain' (not in
+ *  'allowedDomains' setting), 'excluded' (by 'include' or 'exclude' patterns),
+ *  'robots' (disallowed by robots.txt), 'limit' (maxPagesToCrawl reached),
+ *  'depth' (maxDepth reached), 'canonical' (already processed under the same
+ *  canonical URL), 'sitemap' (sitemap that could not be fetched).
+ * @emits navigation.failed ({string} url, {object} failure)
+ *  Reports URLs that could not be opened after all attempts. The failure
+ *  record contains the keys 'url', 'context', 'attempts', 'status', 'error',
+ *  'failedAt' and 'ops' (the operations that could not be processed).
+ * @emits page.crashed ({Error} error, {string} url, {Page} pageWorker)
+ *  Reports pages (or browsers) that crashed while processing given URL. The
+ *  page is replaced, and the URL operations are queued again.
+ * @emits page.error ({Error} error, {string} url, {Page} pageWorker)
+ *  Reports browser page errors as soon as they happen (e.g. the page crashed
+ *  out of memory), including between URLs.
+ * @emits action.error ({Error} error, {object} action, {string} url)
+ *  Reports scripted page actions errors (including the ones ignored because
+ *  the action is optional).
  * @emits alter.extraction.result ({object} entity, {string} entityType, {string} bundle, {Page} pageWorker)
  *  Allows to modify an extracted object before storage.
  * @emits store.extraction.result ({object} entity, {string} entityType, {string} bundle, {string} url, {Page} pageWorker)
@@ -27,6 +66,15 @@ const dom = require('./utils/dom')
  *  Allows to provide alternative cache storage method for pages HTML markup.
  * @emits store.page.screenshot ({string} url, {Page} pageWorker)
  *  Allows to provide alternative cache storage method for pages screenshots.
+ * @emits store.session.failures ({array} failures, {string} sessionName)
+ *  Allows to provide alternative storage method for the failed URLs list.
+ * @emits store.debug.trace ({object} trace, {string} url, {Page} pageWorker)
+ *  Allows to provide alternative storage method for the composite tree trace
+ *  of extracted pages ('debugExtraction' setting).
+ * @emits store.debug.screenshot ({string} url, {Page} pageWorker)
+ *  Allows to provide alternative storage method for the annotated page
+ *  ('debugExtraction' setting). Annotations are removed from the page once
+ *  listeners are done (they may return a promise).
  */
 class Main extends EventEmitter {
   /**
@@ -42,15 +90,43 @@ class Main extends EventEmitter {
 
     this.config = config
     this.pages = []
-    this.openPages = {}
-    this.pagesAllocationCursor = 0
+    this.ownsBrowser = false
+    this.sharesBrowser = false
+    this.browserContexts = {}
+    this.relaunching = null
+    this.auths = {}
+    this.crashes = {}
+    this.idleWorkers = []
     this.operations = new Queue()
     this.crawledUrls = []
+    this.canonicalUrls = []
     this.crawlLimits = {}
+    this.failures = {}
+    this.stats = { queued: 0, skipped: {}, failed: 0 }
+    this.planner = null
 
     if (!('settings' in this.config)) {
       this.config.settings = {}
     }
+
+    this.journal = new Journal(this)
+    this.scheduler = new HostScheduler(this)
+    this.robots = new Robots(this)
+  }
+
+  /**
+   * Creates an instance from a config file (JSON, YAML or JS module), after
+   * resolving its '$ref' and 'extends' keys.
+   * @see src/config.js
+   *
+   * @example
+   *  const scraps = SimpleScraps.fromFile('data/sessions/www.example.com.blog.yml')
+   *  await scraps.run()
+   *
+   * @param {string} file path of the config file.
+   */
+  static fromFile (file) {
+    return new this(load(file))
   }
 
   /**
@@ -87,25 +163,321 @@ class Main extends EventEmitter {
     Object.keys(settings).forEach(key => this.setSetting(key, settings[key]))
   }
 
+  /**
+   * Returns the name identifying this crawling session.
+   *
+   * Used for storing the session state (resumable process). Unless the
+   * 'sessionName' setting is provided, it is derived from the URL of the first
+   * entry point.
+   *
+   * @example
+   *  // Given the first entry point URL 'https://www.chouette.net.br/blog' :
+   *  // Expected output : 'www-chouette-net-br-blog'
+   *  console.log(scraps.getSessionName())
+   */
+  getSessionName () {
+    if (this.getSetting('sessionName')) {
+      return this.getSetting('sessionName')
+    }
+    const entryPoints = this.config.start
+    if (!entryPoints || !entryPoints.length || !entryPoints[0].url) {
+      throw Error('Missing sessionName setting (cannot be derived from entry points)')
+    }
+    const parsedUrl = urlParse(entryPoints[0].url)
+    return slugify(`${parsedUrl.hostname} ${parsedUrl.pathname}`)
+  }
+
+  /**
+   * Returns crawl statistics.
+   *
+   * @example
+   *  // Expected output (e.g.) :
+   *  // { queued: 42, skipped: { domain: 3, excluded: 12, limit: 7 }, failed: 2 }
+   *  console.log(scraps.getStats())
+   */
+  getStats () {
+    return this.stats
+  }
+
+  /**
+   * Normalizes given URL according to settings.
+   *
+   * @see src/utils/url.js normalize()
+   *
+   * @param {string} url to normalize.
+   * @param {string} base (optional) URL used to resolve relative URLs.
+   * @return {string} The normalized URL, or undefined if it's not navigable.
+   */
+  normalizeUrl (url, base) {
+    return normalize(url, base, {
+      stripParams: this.getSetting('urlStripParams'),
+      trailingSlash: this.getSetting('urlTrailingSlash')
+    })
+  }
+
   /**
    * Instanciates the headless browser with 1 page per maxParallelPages setting.
+   *
+   * The browser is only launched (or connected to) when the 'browser' engine
+   * is used, unless a browser is shared with this session (see useBrowser()).
+   * The 'static' engine gets its own pages (maxParallelPages as well).
+   * @see StaticPage
+   *
+   * Each browser context (see getContexts()) gets its own pages as well.
+   *
+   * Then authenticates if the 'auth' setting is provided.
+   * @see Auth
+   *
+   * In cluster mode, pages are created in child processes instead (except
+   * for dry runs).
+   * @see Cluster
+   *
+   * The config is validated first (see validateConfig()).
    */
   async init () {
-    this.browser = await puppeteer.launch()
-    const promises = []
-    for (let i = 0; i < this.getSetting('maxParallelPages'); i++) {
-      const pageWorker = new Page(this)
-      this.pages.push(pageWorker)
-      promises.push(pageWorker.init())
+    this.validateConfig()
+    const engines = this.getEngines()
+    const contexts = this.getContexts()
+    if (this.getSetting('clusterWorkers') > 0 && !this.planner) {
+      this.cluster = new Cluster(this)
+      this.pages = await this.cluster.start(engines, contexts)
+      return
+    }
+    if (engines.includes('browser') && !this.browser) {
+      await this.openBrowser()
     }
+
+    const promises = []
+    contexts.forEach(context => {
+      const auth = this.getAuth(context)
+      auth.load()
+      engines.forEach(engine => {
+        for (let i = 0; i < this.getSetting('maxParallelPages'); i++) {
+          const pageWorker = engine === 'static' ? new StaticPage(this, context) : new Page(this, context)
+          this.pages.push(pageWorker)
+          promises.push(pageWorker.init().then(() => auth.setupPage(pageWorker)))
+        }
+      })
+    })
     await Promise.all(promises)
+
+    for (let i = 0; i < contexts.length; i++) {
+      const pageWorker = this.pages.find(pageWorker => pageWorker.context === contexts[i])
+      await this.getAuth(contexts[i]).init(pageWorker)
+    }
+  }
+
+  /**
+   * Checks the whole session config, and reports every problem found at once.
+   * @see src/validate.js
+   *
+   * @throws {Error} listing each problem with its JSON path and a suggestion.
+   *  The problems are also available in its 'problems' key.
+   */
+  validateConfig () {
+    const problems = validate(this.config)
+    if (problems.length) {
+      const error = Error(format(problems))
+      error.problems = problems
+      throw error
+    }
+  }
+
+  /**
+   * Shares given browser instance with this session (e.g. when several
+   * sessions run in the same process).
+   *
+   * The session then runs in its own incognito browser context(s), and the
+   * browser is left open when the session ends.
+   *
+   * @example
+   *  const browser = await puppeteer.launch()
+   *  const blog = new SimpleScraps(blogConfig)
+   *  const shop = new SimpleScraps(shopConfig)
+   *  blog.useBrowser(browser)
+   *  shop.useBrowser(browser)
+   *  await Promise.all([blog.run(), shop.run()])
+   *  await browser.close()
+   *
+   * @param {Browser} browser Puppeteer instance.
+   */
+  useBrowser (browser) {
+    this.browser = browser
+    this.ownsBrowser = false
+    this.sharesBrowser = true
+  }
+
+  /**
+   * Launches the headless browser using the 'browser' setting (Puppeteer
+   * launch options), or connects to an already running browser when the
+   * 'browserWSEndpoint' setting is provided.
+   */
+  async openBrowser () {
+    const options = this.getSetting('browser') || {}
+    const browserWSEndpoint = this.getSetting('browserWSEndpoint')
+
+    if (browserWSEndpoint) {
+      this.browser = await puppeteer.connect({ ...options, browserWSEndpoint })
+      this.ownsBrowser = false
+      return
+    }
+
+    this.browser = await puppeteer.launch(options)
+    this.ownsBrowser = true
+  }
+
+  /**
+   * Returns the page engines used in this session.
+   *
+   * @return {array} Contains 'browser' and/or 'static'.
+   */
+  getEngines () {
+    const engines = [this.getSetting('engine')]
+    const entryPoints = this.config.start || []
+    entryPoints.forEach(entryPoint => {
+      if (entryPoint.engine && !engines.includes(entryPoint.engine)) {
+        engines.push(entryPoint.engine)
+      }
+    })
+    // When resuming, the queue may contain operations of entry points that
+    // are no longer in config.
+    this.operations.getKeys().forEach(key => {
+      const engine = this.getPageEngine(key)
+      if (!engines.includes(engine)) {
+        engines.push(engine)
+      }
+    })
+    return engines
+  }
+
+  /**
+   * Returns the engine of the page that must process given URL.
+   *
+   * Operations inherit the engine of their entry point.
+   *
+   * @param {string} key of the page in the queue (see getQueueKey()).
+   */
+  getPageEngine (key) {
+    const ops = this.operations.getItems(key)
+    return (ops.length && ops[0].engine) || this.getSetting('engine')
+  }
+
+  /**
+   * Returns the names of the browser contexts used in this session.
+   *
+   * Entry points having the same 'context' key share the same context (i.e.
+   * cookies, storage, cache and auth state). When the 'isolateEntryPoints'
+   * setting is enabled, entry points without this key get their own context.
+   * Otherwise, they use the default one (named null).
+   *
+   * @return {array} Context names.
+   */
+  getContexts () {
+    const contexts = []
+    const add = context => {
+      if (!contexts.includes(context)) {
+        contexts.push(context)
+      }
+    }
+    const entryPoints = this.config.start || []
+    entryPoints.forEach((entryPoint, i) => add(this.getEntryPointContext(entryPoint, i)))
+    // When resuming, the queue may contain operations of entry points that
+    // are no longer in config.
+    this.operations.getKeys().forEach(key => add(this.parseQueueKey(key).context))
+    if (!contexts.length) {
+      add(null)
+    }
+    return contexts
+  }
+
+  /**
+   * Returns the name of the browser context of given entry point.
+   *
+   * @param {object} entryPoint config.
+   * @param {number} i index of the entry point in config.
+   * @return {string} The context name, or null for the default context.
+   */
+  getEntryPointContext (entryPoint, i) {
+    if (entryPoint.context) {
+      return entryPoint.context
+    }
+    if (this.getSetting('isolateEntryPoints')) {
+      return `entry-point-${i + 1}`
+    }
+    return null
+  }
+
+  /**
+   * Returns the Puppeteer browser context of given name.
+   *
+   * Named contexts are incognito contexts. The default one is the browser
+   * default context, unless the browser is shared with other sessions.
+   * @see Main.useBrowser()
+   *
+   * @param {string} context name (null for the default context).
+   */
+  async getBrowserContext (context) {
+    if (!context && !this.sharesBrowser) {
+      return this.browser.defaultBrowserContext()
+    }
+    if (!(context in this.browserContexts)) {
+      this.browserContexts[context] = this.browser.createIncognitoBrowserContext()
+    }
+    return this.browserContexts[context]
+  }
+
+  /**
+   * Returns the authentication handler of given browser context.
+   *
+   * Each context has its own auth state. Its 'auth' setting may be overridden
+   * in the 'contexts' setting.
+   * @see Auth.getConfig()
+   *
+   * @param {string} context name (null for the default context).
+   */
+  getAuth (context) {
+    if (!(context in this.auths)) {
+      this.auths[context] = new Auth(this, context)
+    }
+    return this.auths[context]
+  }
+
+  /**
+   * Returns the key of given URL in the queue.
+   *
+   * The same URL may be processed once in each browser context, so URLs of
+   * named contexts are prefixed by the context name.
+   *
+   * @example
+   *  // Expected output : '[account-b] https://www.example.com/account'
+   *  console.log(scraps.getQueueKey('https://www.example.com/account', 'account-b'))
+   *
+   * @param {string} url
+   * @param {string} context (optional) name of the browser context.
+   */
+  getQueueKey (url, context) {
+    return context ? `[${context}] ${url}` : url
+  }
+
+  /**
+   * Returns the URL and the browser context name of given queue key.
+   * @see Main.getQueueKey()
+   *
+   * @return {object} Having the keys 'url' and 'context'.
+   */
+  parseQueueKey (key) {
+    const matches = key.match(/^\[([^\]]+)\] (.+)$/)
+    if (!matches) {
+      return { url: key, context: null }
+    }
+    return { url: matches[2], context: matches[1] }
   }
 
   /**
    * Populates the queue with initial operations and starts the main loop.
    *
-   * Operations are processed in batch of up to 'maxParallelPages' pages (1 page
-   * per URL).
+   * Operations are processed by up to 'maxParallelPages' pages (1 page per
+   * URL at a time).
    *
    * Each entry point defines an URL where either links are followed (starts a
    * spider crawling process), or some output is extracted directly.
@@ -143,6 +515,64 @@ class Main extends EventEmitter {
    *      }
    *    ]
    *  }
+   *
+   * @example
+   *  // This entry point queues the extraction of 'blog' content entities for
+   *  // the URLs listed in the sitemap (or sitemap index) matching the pattern :
+   *  {
+   *    "url": "https://www.chouette.net.br/sitemap.xml",
+   *    "sitemap": [
+   *      {
+   *        "pattern": "/blog/**",
+   *        "to": "content/blog",
+   *        "maxPagesToCrawl": 15
+   *      }
+   *    ]
+   *  }
+   *
+   * @example
+   *  // Entry points, "follow" and "sitemap" blocks can define when pages are
+   *  // considered ready (before any operation runs). Conditions declared in
+   *  // entry points apply to their URL, those declared in "follow" or
+   *  // "sitemap" blocks apply to the pages their links lead to :
+   *  {
+   *    "url": "https://www.example.com/spa",
+   *    "waitUntil": "networkidle2",
+   *    "waitForSelector": ".results .item",
+   *    "follow": [
+   *      {
+   *        "selector": ".results .item a",
+   *        "to": "content/item",
+   *        "waitForFunction": "window.appReady === true",
+   *        "settleDelay": 500,
+   *        "navigationTimeout": 60000
+   *      }
+   *    ]
+   *  }
+   *
+   * @example
+   *  // Entry points and "follow" blocks can also define actions that run
+   *  // before the operations of the pages they apply to (same rules as
+   *  // readiness conditions above). The root 'actions' key defines actions
+   *  // by destination (wildcards are supported).
+   *  // @see src/actions.js
+   *  {
+   *    "start": [
+   *      {
+   *        "url": "https://www.example.com/blog",
+   *        "actions": [
+   *          { "action": "click", "selector": ".cookies .accept", "optional": true },
+   *          { "action": "click", "selector": ".load-more", "repeatUntilGone": true }
+   *        ],
+   *        "follow": [ ... ]
+   *      }
+   *    ],
+   *    "actions": {
+   *      "content/*": [
+   *        { "action": "click", "selector": ".accordion .collapsed" }
+   *      ]
+   *    }
+   *  }
    */
   async start () {
     const entryPoints = this.config.start
@@ -150,15 +580,17 @@ class Main extends EventEmitter {
       throw Error('Missing start config (no entry points were found)')
     }
 
-    // Begins with populating the initial URL(s) operation(s).
+    // Begins with populating the initial URL(s) operation(s). Entry points
+    // are copied, because the config object belongs to the caller.
     for (let i = 0; i < entryPoints.length; i++) {
-      const entryPoint = entryPoints[i]
+      const entryPoint = { ...entryPoints[i] }
       if (!entryPoint.url) {
         throw Error('Missing start url')
       }
       // This can be used as a spider (opens an initial page where there are
-      // links to follow) or to extract directly data from a single URL.
-      if (!entryPoint.follow) {
+      // links to follow), to extract URLs listed in a sitemap, or to extract
+      // directly data from a single URL.
+      if (!entryPoint.follow && !entryPoint.sitemap) {
         if (!entryPoint.extract) {
           throw Error('Missing start links to follow')
         }
@@ -168,175 +600,1221 @@ class Main extends EventEmitter {
           entryPoint.is = 'content/page'
         }
       }
-      this.createInitialOps(entryPoint)
+      if (this.getEntryPointContext(entryPoint, i)) {
+        entryPoint.context = this.getEntryPointContext(entryPoint, i)
+      }
+      // Entry points are queued under their normalized URL (like found links),
+      // which must not be crawled again.
+      const url = this.normalizeUrl(entryPoint.url)
+      if (!url) {
+        throw Error(`Invalid start url '${entryPoint.url}' (only http, https and file URLs can be opened)`)
+      }
+      entryPoint.url = url
+      this.crawledUrls.push(this.getQueueKey(entryPoint.url, entryPoint.context))
+      await this.createInitialOps(entryPoint)
     }
 
-    // Starts the process.
-    while (this.operations.getKeysCount()) {
-      const promises = []
-      for (let j = 0; j < this.getSetting('maxParallelPages'); j++) {
-        const url = this.operations.getNextKey(j)
-        if (url) {
-          promises.push(this.process(url))
-        }
-      }
-      await Promise.all(promises)
+    await this.processQueue()
+  }
+
+  /**
+   * Main loop : processes queued operations until there are none left.
+   *
+   * Each page "worker" pulls the next URL from the queue as soon as it is done
+   * with the previous one, so that a slow page does not hold the others.
+   *
+   * The session state is saved as operations get completed (unless the
+   * 'journal' setting is disabled), which allows to resume the process in case
+   * of interruption.
+   * @see Journal
+   */
+  async processQueue () {
+    await Promise.all(this.pages.map(pageWorker => this.work(pageWorker)))
+    this.journal.finish()
+    if (!this.planner) {
+      await output.saveFailures(this.getFailures(), this)
     }
   }
 
   /**
-   * When the crawling is over, this method closes everything that was open (the
-   * pages and the browser itself).
+   * Worker loop of a single page.
+   *
+   * The URL pulled from the queue is locked until all its operations are
+   * processed : the same Puppeteer page is reused for all operations of that
+   * URL, and no other page can process it in the meantime. Each page is only
+   * ever driven by its own loop.
+   *
+   * URLs whose host cannot be opened yet (politeness policy) are left in the
+   * queue for later.
+   * @see HostScheduler
+   *
+   * When the queue has no URL available, the worker waits until another one
+   * releases an URL (new operations may have been queued in the meantime) or
+   * until the next host becomes available. It stops when the queue is empty
+   * and no other worker is busy.
+   *
+   * When the page crashes while processing an URL, the operations it held are
+   * queued again (unless that URL already crashed as many times as the
+   * 'navigationMaxAttempts' setting allows), and the page is replaced.
    */
-  async stop () {
-    const promises = []
-    this.pages.forEach(pageWorker => {
-      promises.push(pageWorker.page.close())
-    })
-    await Promise.all(promises)
-    await this.browser.close()
+  async work (pageWorker) {
+    while (true) {
+      await this.maintainPage(pageWorker)
+
+      // Prefer URLs having the same device profile as the one this page is
+      // currently configured for.
+      const isAvailable = key => this.isWorkerKey(key, pageWorker) &&
+        this.scheduler.getDelay(this.parseQueueKey(key).url) === 0
+      const key = this.operations.lockNextKey(
+        candidate => isAvailable(candidate) && pageWorker.hasProfile(this.getPageProfile(candidate))
+      ) || this.operations.lockNextKey(isAvailable)
+
+      if (key) {
+        try {
+          await this.process(this.parseQueueKey(key).url, pageWorker)
+        } catch (error) {
+          if (pageWorker.isHealthy()) {
+            throw error
+          }
+          this.handleCrash(key, error, pageWorker)
+        } finally {
+          this.operations.unlockKey(key)
+          this.wakeWorkers()
+        }
+        continue
+      }
+
+      if (!this.operations.getKeysCount() && !this.operations.getLockedKeysCount()) {
+        this.wakeWorkers()
+        return
+      }
+
+      await this.waitForWork(this.getNextAvailableDelay(pageWorker))
+    }
   }
 
   /**
-   * Wraps the 3 steps that constitues the entire lifecycle of a scraping
-   * session.
+   * Replaces given page when it crashed, or when it should be recycled.
+   * @see Page.shouldRecycle()
    */
-  async run () {
-    await this.init()
-    await this.start()
-    await this.stop()
+  async maintainPage (pageWorker) {
+    if (!pageWorker.isHealthy() || await pageWorker.shouldRecycle()) {
+      await this.replacePage(pageWorker)
+    }
   }
 
   /**
-   * Creates initial operations (adds new pages to crawl or directly extract).
+   * Opens a new Puppeteer page for given worker (and relaunches the browser
+   * first if it crashed).
    */
-  async createInitialOps (entryPoint) {
-    if (!entryPoint.follow) {
-      const op = {
-        type: 'extract',
-        to: entryPoint.is,
-        extract: entryPoint.extract,
-        cache: entryPoint.cache,
-        conf: { ...entryPoint }
-      }
-      this.emit('pre-queue.operation.extract', entryPoint.url, op)
-      if (!op.skip) {
-        this.operations.addItem(entryPoint.url, op)
-      }
+  async replacePage (pageWorker) {
+    // Child processes maintain their own pages.
+    if (pageWorker.isRemote) {
+      await pageWorker.recycle()
       return
     }
+    if (pageWorker.engine === 'browser') {
+      await this.ensureBrowser()
+    }
+    await pageWorker.recycle()
 
-    for (let j = 0; j < entryPoint.follow.length; j++) {
-      const op = entryPoint.follow[j]
-
-      this.operations.addItem(entryPoint.url, {
-        type: 'crawl',
-        selector: op.selector,
-        to: op.to,
-        cache: op.cache,
-        maxPagesToCrawl: ('maxPagesToCrawl' in op) ? op.maxPagesToCrawl : 0,
-        conf: { ...entryPoint }
-      })
+    const auth = this.getAuth(pageWorker.context)
+    await auth.setupPage(pageWorker)
+    // After a browser relaunch, cookies must be restored (or we must log in
+    // again).
+    if (!auth.initialized) {
+      await auth.init(pageWorker)
     }
   }
 
   /**
-   * Begins processing queued operations by page.
+   * Launches (or connects to) the browser again if it was disconnected (e.g.
+   * it crashed).
    *
-   * Every URL can have 1 or more operations associated. Once opened, we reuse
-   * the same Puppeteer page for all operations to be carried out by URL.
+   * Concurrent calls only relaunch it once.
    */
-  async process (url) {
-    const pageWorker = this.allocate(url)
-
-    // Delay.
-    const delayBounds = this.getSetting('crawlDelay')
-    if (delayBounds && delayBounds.length) {
-      const delayAmount = delayBounds[0] + (Math.random() * (delayBounds[1] - delayBounds[0]))
-      await new Promise((resolve, reject) => setTimeout(resolve, delayAmount))
+  async ensureBrowser () {
+    if (this.browser.isConnected()) {
+      return
     }
-
-    // Navigate to the URL.
-    await pageWorker.open(url)
-
-    // Executes all operations queued for given URL.
-    while (this.operations.getItemsCount(url)) {
-      const op = this.operations.getItem(url)
-      if (!op) {
-        return
-      }
-
-      // Debug
-      // console.log('Executing ' + url + " 'op' :" + op.type)
-      // console.log(op)
-
-      switch (op.type) {
-        case 'crawl':
-          await this.crawl(pageWorker, op)
-          break
-        case 'extract':
-          if (op.cache) {
-            await this.cache(pageWorker, op)
-          }
-          await this.extract(pageWorker, op)
-          break
-      }
+    if (this.sharesBrowser) {
+      throw Error('The shared browser was disconnected')
     }
+    if (!this.relaunching) {
+      this.relaunching = this.openBrowser()
+        .then(() => {
+          this.browserContexts = {}
+          Object.values(this.auths).forEach(auth => { auth.initialized = false })
+        })
+        .finally(() => { this.relaunching = null })
+    }
+    await this.relaunching
   }
 
   /**
-   * Distributes operations among open pages by URL.
+   * Queues again the operations held by a page that crashed while processing
+   * given URL.
+   *
+   * @emits page.crashed
+   *
+   * @param {string} key of the URL in the queue (see getQueueKey()).
+   * @param {Error} error thrown by the crashed page.
+   * @param {Page} pageWorker that crashed.
    */
-  allocate (url) {
-    // If an URL was already opened by a page, reuse the same.
-    let cursor = this.pagesAllocationCursor
-    if (url in this.openPages) {
-      cursor = this.openPages[url]
-    } else {
-      this.openPages[url] = cursor
-    }
+  handleCrash (key, error, pageWorker) {
+    const { url } = this.parseQueueKey(key)
+    this.journal.abort(key).forEach(op => this.operations.addItem(key, op))
+    this.emit('page.crashed', error, url, pageWorker)
 
-    // Rotate the distribution among opened pages.
-    this.pagesAllocationCursor++
-    if (this.pagesAllocationCursor >= this.getSetting('maxParallelPages')) {
-      this.pagesAllocationCursor = 0
+    // Pages that keep crashing the browser are given up.
+    this.crashes[key] = (this.crashes[key] || 0) + 1
+    if (this.crashes[key] >= this.getSetting('navigationMaxAttempts')) {
+      this.recordFailure(key, {
+        attempts: this.crashes[key],
+        status: null,
+        error: error.message
+      })
     }
+  }
 
-    // Debug.
-    // console.log(`\nProcess ${url} using slot ${cursor + 1} / ${this.getSetting('maxParallelPages')}`)
+  /**
+   * Returns the shortest delay before one of the queued URLs which are not
+   * locked can be opened by given page.
+   */
+  getNextAvailableDelay (pageWorker) {
+    const delays = this.operations.getKeys()
+      .filter(key => !this.operations.isLocked(key))
+      .filter(key => this.isWorkerKey(key, pageWorker))
+      .map(key => this.scheduler.getDelay(this.parseQueueKey(key).url))
+    return Math.min(...delays)
+  }
 
-    return this.pages[cursor]
+  /**
+   * Determines if given queue key may be processed by given page (i.e. if it
+   * has the same engine and browser context).
+   */
+  isWorkerKey (key, pageWorker) {
+    return this.getPageEngine(key) === pageWorker.engine &&
+      this.parseQueueKey(key).context === pageWorker.context
   }
 
   /**
-   * Finds links to follow and creates operations (which will then get reaped in
-   * the main loop).
+   * Returns a promise resolved when a busy worker releases its URL, or after
+   * given delay.
+   *
+   * @param {number} delay (optional) in ms.
+   */
+  waitForWork (delay) {
+    return new Promise(resolve => {
+      let timer = null
+      const wake = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+      if (delay !== undefined && delay !== Infinity) {
+        timer = setTimeout(wake, delay)
+      }
+      this.idleWorkers.push(wake)
+    })
+  }
+
+  /**
+   * Notifies all idle workers that the queue has changed.
+   */
+  wakeWorkers () {
+    const idleWorkers = this.idleWorkers
+    this.idleWorkers = []
+    idleWorkers.forEach(resolve => resolve())
+  }
+
+  /**
+   * When the crawling is over, this method closes everything that was open (the
+   * pages and the browser itself).
+   *
+   * A browser we connected to (instead of launching it) is left running : we
+   * only disconnect from it. A browser shared with other sessions is left
+   * untouched (only the incognito contexts of this session are closed).
+   */
+  async stop () {
+    if (this.cluster) {
+      await this.cluster.stop()
+      return
+    }
+    const promises = []
+    this.pages.forEach(pageWorker => {
+      promises.push(pageWorker.page.close())
+    })
+    await Promise.all(promises)
+    for (const context of Object.values(this.browserContexts)) {
+      await (await context).close()
+    }
+    this.browserContexts = {}
+    if (this.browser && this.ownsBrowser) {
+      await this.browser.close()
+    } else if (this.browser && !this.sharesBrowser) {
+      this.browser.disconnect()
+    }
+  }
+
+  /**
+   * Wraps the 3 steps that constitues the entire lifecycle of a scraping
+   * session.
+   */
+  async run () {
+    await this.init()
+    await this.start()
+    await this.stop()
+  }
+
+  /**
+   * Reports what the session would do, without extracting or writing anything
+   * (no extraction results, cache, session state nor failures list).
+   *
+   * Entry points and the pages "follow" blocks lead to are opened, in order to
+   * list the URLs each block would queue (and the ones 'maxPagesToCrawl' would
+   * cut off). A sample of the pages of each extraction destination is opened
+   * as well, in order to count the elements their extraction configs match.
+   * @see Planner
+   *
+   * @example
+   *  const scraps = new SimpleScraps(config)
+   *  const plan = await scraps.dryRun()
+   *  plan.blocks.forEach(block => {
+   *    console.log(`${block.to} :: ${block.selector} -> ${block.queued.length} URLs (${block.cut.length} cut off)`)
+   *  })
+   *
+   * @param {number} sampleSize (optional) number of pages to check by
+   *  extraction destination. Defaults to 3.
+   * @return {object} The report (see Planner.getReport()).
+   */
+  async dryRun (sampleSize) {
+    this.planner = new Planner(this, sampleSize || 3)
+    await this.init()
+    await this.start()
+    await this.stop()
+    return this.planner.getReport()
+  }
+
+  /**
+   * Resumes an interrupted session where it stopped.
+   *
+   * Restores the queue, the crawled URLs and the crawling limits counters from
+   * the session state saved during the previous run.
+   * @see Journal
+   *
+   * @example
+   *  const scraps = new SimpleScraps(config)
+   *  await scraps.resume()
+   */
+  async resume () {
+    if (!this.journal.exists()) {
+      throw Error(`Cannot resume session '${this.getSessionName()}' : no saved state was found in ${this.journal.getFilePath()}`)
+    }
+
+    // Nothing to do if the previous run was completed.
+    if (!this.journal.restore()) {
+      return
+    }
+
+    await this.init()
+    await this.processQueue()
+    await this.stop()
+  }
+
+  /**
+   * Re-runs only the URLs that could not be opened in a previous run.
+   *
+   * The failed URLs list is read from the file written at the end of the
+   * previous run, unless given as argument. If a session state exists, it is
+   * restored first so that links found again on these pages are not crawled
+   * twice.
+   * @see Main.navigate()
+   *
+   * @example
+   *  const scraps = new SimpleScraps(config)
+   *  await scraps.retryFailed()
+   *
+   * @param {array} failures (optional) failure records.
+   */
+  async retryFailed (failures) {
+    if (!failures) {
+      const filePath = this.getFailuresFilePath()
+      if (!fs.existsSync(filePath)) {
+        throw Error(`Cannot retry session '${this.getSessionName()}' : no failed URLs were found in ${filePath}`)
+      }
+      failures = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    }
+
+    if (this.journal.isEnabled() && this.journal.exists()) {
+      this.journal.restore()
+    }
+
+    failures.forEach(failure => {
+      const key = this.getQueueKey(failure.url, failure.context)
+      delete this.failures[key]
+      failure.ops.forEach(op => this.operations.addItem(key, op))
+    })
+
+    if (!this.operations.getKeysCount()) {
+      return
+    }
+
+    await this.init()
+    await this.processQueue()
+    await this.stop()
+  }
+
+  /**
+   * Returns the failure records of URLs that could not be opened.
+   */
+  getFailures () {
+    return Object.values(this.failures)
+  }
+
+  /**
+   * Returns the file path where the failed URLs list is written by default.
+   *
+   * @example
+   *  // Given the setting 'sessionName' = 'www.chouette.net.br.blog' :
+   *  // Expected output : 'data/sessions/www-chouette-net-br-blog.failed.json'
+   *  console.log(scraps.getFailuresFilePath())
+   */
+  getFailuresFilePath () {
+    return sessionToFilePath('data/sessions', this.getSessionName(), '.failed.json')
+  }
+
+  /**
+   * Creates initial operations (adds new pages to crawl or directly extract).
+   *
+   * Operations carry the depth (number of links followed from the entry point
+   * URL) and the referrer (URL of the page where the link was found) of the
+   * page they apply to.
+   *
+   * They also carry the readiness conditions, the actions and the device
+   * profile of the page they apply to, and "crawl" operations carry the ones
+   * of the pages their links lead to (in the 'link' key).
+   * @see Main.getLinkSettings()
+   *
+   * @param {object} entryPoint config.
+   * @param {number} depth (optional) defaults to 0.
+   * @param {string} referrer (optional) defaults to null.
+   * @param {object} link (optional) page settings of the "follow" block that
+   *  led to this entry point, overriding the ones of the entry point.
+   */
+  async createInitialOps (entryPoint, depth, referrer, link) {
+    depth = depth || 0
+    referrer = referrer || null
+    link = link || {}
+    const ready = { ...this.getReadiness(entryPoint), ...link.ready }
+    const pageActions = link.actions || entryPoint.actions
+    const profile = link.profile || entryPoint.profile
+
+    if (!await this.isAllowedByRobots(entryPoint.url, entryPoint)) {
+      return
+    }
+
+    if (entryPoint.sitemap) {
+      await this.createSitemapOps(entryPoint)
+      return
+    }
+
+    if (!entryPoint.follow) {
+      const op = {
+        type: 'extract',
+        to: entryPoint.is,
+        extract: entryPoint.extract,
+        cache: entryPoint.cache,
+        lazyLoad: entryPoint.lazyLoad,
+        engine: entryPoint.engine,
+        context: entryPoint.context,
+        depth,
+        referrer,
+        ready,
+        actions: pageActions,
+        profile,
+        conf: { ...entryPoint }
+      }
+      this.emit('pre-queue.operation.extract', entryPoint.url, op)
+      if (!op.skip) {
+        this.queueOperation(entryPoint.url, op)
+      }
+      return
+    }
+
+    for (let j = 0; j < entryPoint.follow.length; j++) {
+      const op = entryPoint.follow[j]
+
+      this.queueOperation(entryPoint.url, {
+        type: 'crawl',
+        selector: op.selector,
+        to: op.to,
+        cache: op.cache,
+        scroll: op.scroll,
+        lazyLoad: op.lazyLoad,
+        engine: entryPoint.engine,
+        context: entryPoint.context,
+        include: op.include,
+        exclude: op.exclude,
+        maxPagesToCrawl: ('maxPagesToCrawl' in op) ? op.maxPagesToCrawl : 0,
+        maxDepth: op.maxDepth,
+        depth,
+        referrer,
+        ready,
+        actions: pageActions,
+        profile,
+        link: this.getLinkSettings(op, entryPoint),
+        conf: { ...entryPoint }
+      })
+    }
+  }
+
+  /**
+   * Returns the settings of the pages that links of given block lead to.
+   *
+   * The device profile is inherited from the entry point, but readiness
+   * conditions and actions only apply to the pages of the block declaring
+   * them.
+   *
+   * @param {object} block "follow" or "sitemap" block config.
+   * @param {object} entryPoint config.
+   * @return {object} Having the keys 'ready', 'actions' and 'profile'.
+   */
+  getLinkSettings (block, entryPoint) {
+    return {
+      ready: this.getReadiness(block),
+      actions: block.actions,
+      profile: block.profile || entryPoint.profile
+    }
+  }
+
+  /**
+   * Adds an operation to the queue (and updates crawl statistics).
+   *
+   * Operations are queued by URL within the browser context of their entry
+   * point.
+   * @see Main.getQueueKey()
+   */
+  queueOperation (url, op) {
+    this.stats.queued++
+    this.operations.addItem(this.getQueueKey(url, op.context), op)
+  }
+
+  /**
+   * Reports an URL that was not queued (and updates crawl statistics).
+   *
+   * @emits skip.url
+   */
+  skipUrl (url, reason, op) {
+    if (!(reason in this.stats.skipped)) {
+      this.stats.skipped[reason] = 0
+    }
+    this.stats.skipped[reason]++
+    this.emit('skip.url', url, reason, op)
+  }
+
+  /**
+   * Creates extraction operations for the URLs listed in a sitemap.
+   *
+   * Each block of the 'sitemap' entry point config filters the listed URLs by
+   * 'pattern' (optional, see utils/url.js matchesPattern()) and maps them to
+   * the destination set in its 'to' key. The sitemap 'lastmod' value of each
+   * URL is available in the operation (e.g. for 'pre-queue.operation.extract'
+   * event listeners).
+   *
+   * Sitemaps that can't be fetched are skipped (reason 'sitemap'), so that the
+   * other entry points still get processed.
+   */
+  async createSitemapOps (entryPoint) {
+    let entries = []
+    try {
+      entries = await sitemap.getEntries(entryPoint.url, this)
+    } catch (error) {
+      this.skipUrl(entryPoint.url, 'sitemap')
+      return
+    }
+
+    for (let j = 0; j < entryPoint.sitemap.length; j++) {
+      const block = entryPoint.sitemap[j]
+      if (!block.to || block.to === 'follow') {
+        throw Error(`Invalid sitemap destination '${block.to}' (must be an extraction destination, e.g. 'content/blog')`)
+      }
+
+      const op = {
+        type: 'extract',
+        pattern: block.pattern,
+        include: block.include,
+        exclude: block.exclude,
+        to: block.to,
+        cache: block.cache,
+        lazyLoad: block.lazyLoad,
+        engine: entryPoint.engine,
+        context: entryPoint.context,
+        maxPagesToCrawl: ('maxPagesToCrawl' in block) ? block.maxPagesToCrawl : 0,
+        depth: 0,
+        referrer: null,
+        link: this.getLinkSettings(block, entryPoint),
+        conf: { ...entryPoint }
+      }
+
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i]
+        if (block.pattern && !matchesPattern(entry.url, block.pattern)) {
+          continue
+        }
+        await this.queueFoundUrls([entry.url], { ...op, lastmod: entry.lastmod }, entryPoint.url)
+      }
+    }
+  }
+
+  /**
+   * Begins processing queued operations by page.
+   *
+   * Every URL can have 1 or more operations associated. Once opened, we reuse
+   * the same Puppeteer page for all operations to be carried out by URL.
+   *
+   * @param {string} url locked by the worker (see work()).
+   * @param {Page} pageWorker owning the URL until all its operations are done.
+   */
+  async process (url, pageWorker) {
+    // Wait for the host scheduling (politeness policy).
+    await this.scheduler.acquire(url)
+    try {
+      if (pageWorker.isRemote) {
+        await this.processRemotely(url, pageWorker)
+        return
+      }
+      if (!await this.navigate(url, pageWorker)) {
+        return
+      }
+      if (!await this.ensureLoggedIn(url, pageWorker)) {
+        return
+      }
+      if (this.getSetting('dedupeByCanonical') && await this.isCanonicalDuplicate(url, pageWorker)) {
+        return
+      }
+      if (!await this.runActions(url, pageWorker)) {
+        return
+      }
+      await this.processOperations(url, pageWorker)
+    } finally {
+      this.scheduler.release(url)
+    }
+  }
+
+  /**
+   * Sends the operations queued for given URL to a child process (cluster
+   * mode), then queues again those that were not processed.
+   * @see Cluster.run()
+   */
+  async processRemotely (url, pageWorker) {
+    const key = this.getQueueKey(url, pageWorker.context)
+    const ops = []
+    while (this.operations.getItemsCount(key)) {
+      const op = this.operations.getItem(key)
+      this.journal.begin(key, op)
+      ops.push(op)
+    }
+
+    const result = await pageWorker.run(key, ops)
+    ops.filter((op, i) => !result.remaining.includes(i)).forEach(op => {
+      // Operations of URLs that could not be opened are kept in the failure
+      // record instead (see Main.recordFailure()).
+      if (result.failed) {
+        this.journal.discard(key, op)
+        return
+      }
+      this.journal.complete(key, op)
+    })
+
+    if (result.crashed) {
+      this.handleCrash(key, Error(result.error), pageWorker)
+      return
+    }
+    this.journal.abort(key).forEach(op => this.operations.addItem(key, op))
+    if (result.error) {
+      throw Error(result.error)
+    }
+  }
+
+  /**
+   * Navigates to the URL and reports the outcome to the host scheduler.
+   */
+  async navigate (url, pageWorker) {
+    const key = this.getQueueKey(url, pageWorker.context)
+    await pageWorker.setProfile(this.getProfile(this.getPageProfile(key)))
+    await pageWorker.setRequestBlocking(this.getRequestBlocking(key))
+
+    const maxAttempts = this.getSetting('navigationMaxAttempts')
+    let delay = this.getSetting('navigationRetryDelay')
+    let attempts = 0
+    let status = null
+    let error = null
+
+    while (true) {
+      attempts++
+      let response = null
+      error = null
+      try {
+        response = await pageWorker.open(url, this.getPageReadiness(key))
+      } catch (e) {
+        // Crashed pages (or browsers) are not the host's fault.
+        // @see Main.work()
+        if (!pageWorker.isHealthy()) {
+          throw e
+        }
+        error = e
+      }
+      this.scheduler.report(url, response, error)
+
+      status = response ? response.status() : null
+      if (!error && !(status >= 400)) {
+        return true
+      }
+      if (attempts >= maxAttempts || !this.isRetryable(error, status)) {
+        break
+      }
+
+      // Wait before the next attempt, then go through the host scheduling
+      // again (it may have slowed down, e.g. because of a 'Retry-After').
+      await new Promise((resolve, reject) => setTimeout(resolve, delay))
+      delay *= this.getSetting('navigationRetryBackoff')
+      this.scheduler.release(url)
+      await this.scheduler.acquire(url)
+    }
+
+    this.recordFailure(key, {
+      attempts,
+      status,
+      error: error ? error.message : `HTTP status ${status}`
+    })
+    return false
+  }
+
+  /**
+   * Returns the name of the device profile to use when opening given URL.
+   *
+   * @param {string} key of the page in the queue (see getQueueKey()).
+   */
+  getPageProfile (key) {
+    const ops = this.operations.getItems(key)
+    return (ops.length && ops[0].profile) || this.getSetting('profile')
+  }
+
+  /**
+   * Returns the device profile definition.
+   *
+   * Profiles based on a Puppeteer device descriptor (the 'device' key) get
+   * its user agent and viewport, unless they define their own. Profiles
+   * without viewport use the 'pageW' and 'pageH' settings.
+   *
+   * @example
+   *  // Given the 'profiles' setting :
+   *  //  { "mobile-fr": { "device": "iPhone X", "locale": "fr-FR", "timezone": "Europe/Paris" } }
+   *  // Expected output :
+   *  //  {
+   *  //    name: 'mobile-fr',
+   *  //    userAgent: 'Mozilla/5.0 (iPhone; ...',
+   *  //    viewport: { width: 375, height: 812, deviceScaleFactor: 3, isMobile: true, ... },
+   *  //    locale: 'fr-FR',
+   *  //    timezone: 'Europe/Paris'
+   *  //  }
+   *  console.log(scraps.getProfile('mobile-fr'))
+   *
+   * @param {string} name of the profile.
+   * @return {object} The profile definition.
+   */
+  getProfile (name) {
+    const profiles = {
+      ...defaultConfig.setting('profiles'),
+      ...this.getSetting('profiles')
+    }
+    if (!(name in profiles)) {
+      throw Error(`Unknown device profile '${name}' (available profiles : ${Object.keys(profiles).join(', ')})`)
+    }
+
+    const { device, ...profile } = profiles[name]
+    if (device) {
+      if (!(device in puppeteer.devices)) {
+        throw Error(`Unknown device '${device}' in profile '${name}'`)
+      }
+      profile.userAgent = profile.userAgent || puppeteer.devices[device].userAgent
+      profile.viewport = profile.viewport || puppeteer.devices[device].viewport
+    }
+    if (!profile.userAgent && this.getSetting('userAgent')) {
+      profile.userAgent = this.getSetting('userAgent')
+    }
+    if (!profile.viewport) {
+      profile.viewport = {
+        width: this.getSetting('pageW'),
+        height: this.getSetting('pageH')
+      }
+    }
+
+    return { name, ...profile }
+  }
+
+  /**
+   * Returns which requests must be blocked when opening given URL.
+   *
+   * The 'requestBlocking' setting applies to all pages, and its 'destinations'
+   * key may override it (or disable it using false) for the pages extracted
+   * to given destinations (wildcards are supported).
+   *
+   * Blocking is always disabled for pages that get cached : their cached
+   * markup (and screenshot, see the 'cacheWithScreenshot' setting) must be a
+   * faithful copy of the page, which blocked scripts would alter.
+   *
+   * @example
+   *  // Given the 'requestBlocking' setting :
+   *  //  {
+   *  //    "resourceTypes": ["image", "font"],
+   *  //    "destinations": { "content/blog": { "resourceTypes": ["font"] } }
+   *  //  }
+   *  // Expected output for a page extracted to 'content/blog' :
+   *  // { resourceTypes: ['font'] }
+   *  console.log(scraps.getRequestBlocking(url))
+   *
+   * @param {string} key of the page in the queue (see getQueueKey()).
+   * @return {object|boolean} false if nothing should be blocked.
+   */
+  getRequestBlocking (key) {
+    const conf = this.getSetting('requestBlocking')
+    if (!conf) {
+      return false
+    }
+
+    const extractOps = this.operations.getItems(key).filter(op => op.type === 'extract')
+    if (extractOps.some(op => op.cache)) {
+      return false
+    }
+
+    const { destinations, ...blocking } = conf
+    for (let i = 0; i < extractOps.length; i++) {
+      const overrides = this.getByDestination(destinations || {}, extractOps[i].to)
+      for (let j = 0; j < overrides.length; j++) {
+        if (!overrides[j]) {
+          return false
+        }
+        Object.assign(blocking, overrides[j])
+      }
+    }
+    return blocking
+  }
+
+  /**
+   * Returns the readiness conditions declared in given config.
+   *
+   * @example
+   *  // Expected output : { waitUntil: 'networkidle0', settleDelay: 500 }
+   *  console.log(scraps.getReadiness({
+   *    selector: '.pager a',
+   *    to: 'follow',
+   *    waitUntil: 'networkidle0',
+   *    settleDelay: 500
+   *  }))
+   *
+   * @param {object} conf entry point, "follow" or "sitemap" block.
+   * @return {object} Having any of the keys 'waitUntil', 'waitForSelector',
+   *  'waitForFunction', 'settleDelay' and 'navigationTimeout'.
+   */
+  getReadiness (conf) {
+    const ready = {}
+    readinessKeys.forEach(key => {
+      if (conf && key in conf) {
+        ready[key] = conf[key]
+      }
+    })
+    return ready
+  }
+
+  /**
+   * Returns the readiness conditions to apply when opening given URL.
+   *
+   * Combines the conditions of all operations queued for that URL (the first
+   * ones queued take precedence), then falls back to settings.
+   *
+   * @param {string} key of the page in the queue (see getQueueKey()).
+   */
+  getPageReadiness (key) {
+    const ready = {}
+    this.operations.getItems(key).forEach(op => {
+      Object.keys(op.ready || {}).forEach(condition => {
+        if (!(condition in ready)) {
+          ready[condition] = op.ready[condition]
+        }
+      })
+    })
+    readinessKeys.forEach(condition => {
+      if (!(condition in ready) && this.getSetting(condition) !== undefined) {
+        ready[condition] = this.getSetting(condition)
+      }
+    })
+    return ready
+  }
+
+  /**
+   * Logs in again when given (already opened) URL shows that we're logged
+   * out, then opens it again.
+   * @see Auth.isLoggedOut()
+   *
+   * @return {boolean} false if re-authentication failed.
+   */
+  async ensureLoggedIn (url, pageWorker) {
+    const auth = this.getAuth(pageWorker.context)
+    const key = this.getQueueKey(url, pageWorker.context)
+    if (!await auth.isLoggedOut(pageWorker)) {
+      return true
+    }
+    try {
+      await auth.login(pageWorker)
+    } catch (error) {
+      this.recordFailure(key, { attempts: 1, status: null, error: error.message })
+      return false
+    }
+    if (!await this.navigate(url, pageWorker)) {
+      return false
+    }
+    if (await auth.isLoggedOut(pageWorker)) {
+      this.recordFailure(key, { attempts: 1, status: null, error: 'Still logged out after re-authentication' })
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Runs the scripted actions of given (already opened) URL.
+   *
+   * When an action which is not optional fails, the operations of that URL
+   * are not processed (they are kept in its failure record instead).
+   * @see src/actions.js
+   *
+   * @return {boolean} false if an action failed.
+   */
+  async runActions (url, pageWorker) {
+    const key = this.getQueueKey(url, pageWorker.context)
+    try {
+      await actions.run(pageWorker, this.getPageActions(key), this)
+    } catch (error) {
+      this.recordFailure(key, { attempts: 1, status: null, error: error.message })
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Returns the actions to run on given URL before its queued operations.
+   *
+   * Combines the actions of all operations queued for that URL with the ones
+   * defined by destination in the root 'actions' config key (for extraction
+   * operations). Identical action lists only run once.
+   *
+   * @param {string} key of the page in the queue (see getQueueKey()).
+   */
+  getPageActions (key) {
+    const lists = []
+    this.operations.getItems(key).forEach(op => {
+      lists.push(op.actions)
+      if (op.type === 'extract' && op.to) {
+        lists.push(...this.getDestinationActions(op.to))
+      }
+    })
+
+    const pageActions = []
+    const listsAdded = []
+    lists.filter(list => list && list.length).forEach(list => {
+      const id = JSON.stringify(list)
+      if (!listsAdded.includes(id)) {
+        listsAdded.push(id)
+        pageActions.push(...list)
+      }
+    })
+    return pageActions
+  }
+
+  /**
+   * Returns the action lists defined for given destination.
+   *
+   * @example
+   *  // Given the config :
+   *  //  "actions": {
+   *  //    "content/*": [ ...A ],
+   *  //    "content/blog": [ ...B ]
+   *  //  }
+   *  // Expected output : [ [ ...A ], [ ...B ] ]
+   *  console.log(scraps.getDestinationActions('content/blog'))
+   *
+   * @param {string} to destination (e.g. 'content/blog').
+   * @return {array} Lists of actions.
+   */
+  getDestinationActions (to) {
+    return this.getByDestination(this.config.actions || {}, to)
+  }
+
+  /**
+   * Returns the values of given object whose keys match given destination.
+   *
+   * @example
+   *  // Expected output : [ 'a', 'b' ]
+   *  console.log(scraps.getByDestination({
+   *    'content/*': 'a',
+   *    'content/blog': 'b',
+   *    'content/page': 'c'
+   *  }, 'content/blog'))
+   *
+   * @param {object} byDestination values keyed by destination (wildcards
+   *  are supported, e.g. 'content/*').
+   * @param {string} to destination (e.g. 'content/blog').
+   * @return {array} Matching values (in keys order).
+   */
+  getByDestination (byDestination, to) {
+    const [entityType, bundle] = (to || '').split('/')
+    return Object.keys(byDestination)
+      .filter(key => {
+        const [keyType, keyBundle] = key.split('/')
+        return keyType === entityType && (keyBundle === bundle || keyBundle === '*')
+      })
+      .map(key => byDestination[key])
+  }
+
+  /**
+   * Determines if a failed navigation should be attempted again.
+   *
+   * @param {Error} error (optional) navigation error.
+   * @param {number} status (optional) HTTP status of the response.
+   */
+  isRetryable (error, status) {
+    if (error) {
+      const description = `${error.name}: ${error.message}`
+      return this.getSetting('navigationRetryErrors')
+        .some(str => description.includes(str))
+    }
+    return this.getSetting('navigationRetryStatuses').includes(status)
+  }
+
+  /**
+   * Records a navigation failure.
+   *
+   * The operations queued for given URL are removed from the queue and kept in
+   * the failure record, so that they can be run again later.
+   * @see Main.retryFailed()
+   *
+   * @param {string} key of the page that could not be opened in the queue (see
+   *  getQueueKey()).
+   * @param {object} details with the keys 'attempts', 'status' and 'error'.
+   */
+  recordFailure (key, details) {
+    const ops = []
+    while (this.operations.getItemsCount(key)) {
+      ops.push(this.operations.getItem(key))
+    }
+    this.addFailure(key, details, ops)
+  }
+
+  /**
+   * Adds a failure record.
+   * @see Main.recordFailure()
+   *
+   * @emits navigation.failed
+   *
+   * @param {string} key of the page that could not be opened in the queue.
+   * @param {object} details with the keys 'attempts', 'status' and 'error'.
+   * @param {array} ops the operations that could not be processed.
+   */
+  addFailure (key, details, ops) {
+    const { url, context } = this.parseQueueKey(key)
+    const failure = {
+      url,
+      context,
+      ...details,
+      failedAt: new Date().toISOString(),
+      ops
+    }
+    this.failures[key] = failure
+    this.stats.failed = (this.stats.failed || 0) + 1
+    this.emit('navigation.failed', url, failure)
+  }
+
+  /**
+   * Determines if the page opened at given URL has the same canonical URL
+   * (i.e. <link rel="canonical">) as a page that was already processed.
+   *
+   * In this case, the operations queued for this URL are dropped.
+   *
+   * @emits skip.url
+   */
+  async isCanonicalDuplicate (url, pageWorker) {
+    const key = this.getQueueKey(url, pageWorker.context)
+    const hrefs = await dom.attribute(pageWorker.page, 'link[rel="canonical"]', 'href')
+    const canonicalUrl = this.getQueueKey(
+      hrefs && hrefs.length
+        ? this.normalizeUrl(hrefs[0], pageWorker.page.url())
+        : this.normalizeUrl(url),
+      pageWorker.context
+    )
+
+    if (await this.registerCanonicalUrl(canonicalUrl)) {
+      return false
+    }
+
+    while (this.operations.getItemsCount(key)) {
+      this.skipUrl(url, 'canonical', this.operations.getItem(key))
+    }
+    return true
+  }
+
+  /**
+   * Records given canonical URL.
+   *
+   * @param {string} canonicalUrl (prefixed by its browser context, if any).
+   * @return {boolean} false if it was already recorded.
+   */
+  registerCanonicalUrl (canonicalUrl) {
+    if (this.canonicalUrls.includes(canonicalUrl)) {
+      return false
+    }
+    this.canonicalUrls.push(canonicalUrl)
+    // Links to the canonical URL itself must not be crawled again.
+    if (!this.crawledUrls.includes(canonicalUrl)) {
+      this.crawledUrls.push(canonicalUrl)
+    }
+    return true
+  }
+
+  /**
+   * Executes all operations queued for given (already opened) URL.
+   */
+  async processOperations (url, pageWorker) {
+    const key = this.getQueueKey(url, pageWorker.context)
+    // Executes all operations queued for given URL.
+    while (this.operations.getItemsCount(key)) {
+      const op = this.operations.getItem(key)
+      if (!op) {
+        return
+      }
+      this.journal.begin(key, op)
+
+      // Debug
+      // console.log('Executing ' + url + " 'op' :" + op.type)
+      // console.log(op)
+
+      switch (op.type) {
+        case 'crawl':
+          await this.crawl(pageWorker, op)
+          break
+        case 'extract':
+          // Lazy-loaded content (e.g. images) must be loaded before caching the
+          // page or extracting anything.
+          if (op.lazyLoad) {
+            await pageWorker.triggerLazyLoad(op.lazyLoad === true ? {} : op.lazyLoad)
+          }
+          // Dry runs only check which extraction configs match.
+          if (this.planner) {
+            await this.planner.inspect(pageWorker, op)
+            break
+          }
+          if (op.cache) {
+            await this.cache(pageWorker, op)
+          }
+          await this.extract(pageWorker, op)
+          break
+      }
+
+      this.journal.complete(key, op)
+    }
+  }
+
+  /**
+   * Finds links to follow and creates operations (which will then get reaped in
+   * the main loop).
    *
    * Applies limits if set.
+   *
+   * When the "follow" block has the 'scroll' key, the page is first scrolled
+   * to the bottom until no new links matching its selector appear (infinite
+   * scroll).
+   * @see Page.scrollToEnd()
    */
   async crawl (pageWorker, op) {
+    if (op.scroll) {
+      await pageWorker.scrollToEnd({
+        selector: op.selector,
+        ...(op.scroll === true ? {} : op.scroll)
+      })
+    }
     const urlsFound = await dom.attribute(pageWorker.page, op.selector, 'href')
+    if (this.planner) {
+      this.planner.addPage(this.normalizeUrl(pageWorker.page.url()), op, (urlsFound || []).length)
+    }
     if (!urlsFound || !urlsFound.length) {
       return
     }
+    await this.queueFoundUrls(urlsFound, op, this.normalizeUrl(pageWorker.page.url()))
+  }
 
+  /**
+   * Creates operations for URLs found while crawling (or listed in sitemaps).
+   *
+   * URLs are normalized (relative URLs are resolved against the base URL)
+   * before deduplication.
+   * @see normalizeUrl()
+   *
+   * Applies limits if set : 'maxPagesToCrawl' and 'maxDepth' (set either in
+   * the 'follow' block or in the entry point).
+   *
+   * @param {array} urlsFound
+   * @param {object} op the operation of the page where links were found.
+   * @param {string} baseUrl URL of the page where links were found (or of the
+   *  sitemap). Used as the referrer of the new operations.
+   */
+  async queueFoundUrls (urlsFound, op, baseUrl) {
     for (let i = 0; i < urlsFound.length; i++) {
-      const urlFound = urlsFound[i]
+      const urlFound = this.normalizeUrl(urlsFound[i], baseUrl)
+
+      // Ignore links that can't be navigated to (e.g. 'mailto:').
+      if (!urlFound) {
+        continue
+      }
 
-      // Prevent re-crawling the same URLs.
-      if (this.crawledUrls.indexOf(urlFound) !== -1) {
+      // Prevent re-crawling the same URLs (in the same browser context).
+      // Links are only marked as crawled once they passed all the checks
+      // below, because other blocks (or deeper pages) may still queue the
+      // ones skipped here.
+      const keyFound = this.getQueueKey(urlFound, op.context)
+      if (this.crawledUrls.indexOf(keyFound) !== -1) {
         // Debug ok.
         // console.log("We've already crawled " + urlFound + ' -> skipping')
         continue
       }
-      this.crawledUrls.push(urlFound)
+
+      // Don't count URLs we're not allowed to crawl in crawling limits.
+      if (!this.isAllowedDomain(urlFound)) {
+        this.skipUrl(urlFound, 'domain', op)
+        continue
+      }
+      if (!this.isIncluded(urlFound, op)) {
+        this.skipUrl(urlFound, 'excluded', op)
+        continue
+      }
+      if (!await this.isAllowedByRobots(urlFound, op)) {
+        continue
+      }
+
+      // Handle depth limits.
+      const depth = (op.depth || 0) + 1
+      const maxDepth = ('maxDepth' in op && op.maxDepth !== undefined)
+        ? op.maxDepth
+        : (op.conf || {}).maxDepth
+      if (maxDepth !== undefined && depth > maxDepth) {
+        this.skipUrl(urlFound, 'depth', op)
+        continue
+      }
 
       // Handle crawling limits.
-      // We need to uniquely identify each "follow" block from config in order
-      // to apply the limit. Given the way config is structured, for now, we
-      // differenciate those blocks by concatenating the "to" key with the
-      // selector.
-      const limitID = op.to + ' :: ' + op.selector
+      // We need to uniquely identify each "follow" (or "sitemap") block from
+      // config in order to apply the limit. Given the way config is structured,
+      // for now, we differenciate those blocks by concatenating the "to" key
+      // with the selector (or the sitemap URL and pattern).
+      const limitID = this.getLimitID(op)
       if (!(limitID in this.crawlLimits)) {
         this.crawlLimits[limitID] = 0
       }
@@ -345,36 +1823,142 @@ class Main extends EventEmitter {
       if (this.crawlLimits[limitID] > op.maxPagesToCrawl) {
         // Debug ok.
         // console.log("We've reached the crawling limit for " + limitID + ' : ' + this.crawlLimits[limitID])
+        this.skipUrl(urlFound, 'limit', op)
         continue
       }
 
       // Debug.
-      console.log(`${this.crawlLimits[limitID]} x ${limitID} for ${urlFound}`)
+      // console.log(`${this.crawlLimits[limitID]} x ${limitID} for ${urlFound}`)
+
+      this.crawledUrls.push(keyFound)
+      if (this.planner) {
+        this.planner.addLink(urlFound, op)
+      }
 
       // Execution depends on the "type" of link.
       if (op.to === 'follow') {
         // Recursion (e.g. pager links).
         // NB. createInitialOps() will set op.type = 'crawl'.
         op.conf.url = urlFound
-        this.createInitialOps(op.conf)
+        await this.createInitialOps(op.conf, depth, baseUrl, op.link)
       } else {
         // Normal extraction.
-        op.type = 'extract'
+        const extractOp = {
+          ...op,
+          type: 'extract',
+          depth,
+          referrer: baseUrl || null,
+          ready: (op.link || {}).ready || {},
+          actions: (op.link || {}).actions,
+          profile: (op.link || {}).profile
+        }
+        delete extractOp.link
+        delete extractOp.scroll
         // Allow to skip this operation via event.
-        this.emit('pre-queue.operation.extract', urlFound, op)
-        if (!op.skip) {
-          this.operations.addItem(urlFound, op)
+        this.emit('pre-queue.operation.extract', urlFound, extractOp)
+        if (!extractOp.skip) {
+          this.queueOperation(urlFound, extractOp)
         }
       }
     }
   }
 
+  /**
+   * Returns the key identifying the config block of given operation for
+   * crawling limits.
+   */
+  getLimitID (op) {
+    if ('selector' in op) {
+      return this.getQueueKey(op.to + ' :: ' + op.selector, op.context)
+    }
+    return this.getQueueKey(op.to + ' :: ' + op.conf.url + ' ' + (op.pattern || '*'), op.context)
+  }
+
+  /**
+   * Determines if given URL may be queued according to its host's robots.txt
+   * (unless the 'respectRobots' setting is disabled).
+   *
+   * @emits skip.url
+   */
+  async isAllowedByRobots (url, op) {
+    if (!this.getSetting('respectRobots')) {
+      return true
+    }
+    if (await this.robots.isAllowed(url)) {
+      return true
+    }
+    this.skipUrl(url, 'robots', op)
+    return false
+  }
+
+  /**
+   * Determines if given URL's host is allowed by the 'allowedDomains' setting.
+   *
+   * The 'same-host' and 'subdomains' policies are relative to the hosts of the
+   * entry points. URLs without host (e.g. local files) are always allowed.
+   */
+  isAllowedDomain (url) {
+    const policy = this.getSetting('allowedDomains')
+    const hostname = urlParse(url).hostname
+    if (!hostname || policy === 'any') {
+      return true
+    }
+
+    if (Array.isArray(policy)) {
+      return policy.some(allowed => allowed.startsWith('*.')
+        ? hostname === allowed.slice(2) || hostname.endsWith(allowed.slice(1))
+        : hostname === allowed)
+    }
+
+    const entryHosts = (this.config.start || [])
+      .map(entryPoint => urlParse(entryPoint.url).hostname)
+    if (policy === 'subdomains') {
+      return entryHosts
+        .map(host => host.replace(/^www\./, ''))
+        .some(host => hostname === host || hostname.endsWith('.' + host))
+    }
+    return entryHosts.includes(hostname)
+  }
+
+  /**
+   * Determines if given URL matches the 'include' and 'exclude' patterns of
+   * the entry point and of the 'follow' (or 'sitemap') block of given
+   * operation.
+   *
+   * Both keys accept a single pattern or an array of patterns (glob or regex).
+   * @see src/utils/url.js matchesPattern()
+   *
+   * @example
+   *  // This follow block only queues blog posts, except drafts :
+   *  {
+   *    "selector": "a",
+   *    "to": "content/blog",
+   *    "include": "/blog/**",
+   *    "exclude": ["/blog/drafts/**", "/\\?preview=/"]
+   *  }
+   */
+  isIncluded (url, op) {
+    const sources = [op.conf || {}, op]
+    for (let i = 0; i < sources.length; i++) {
+      const include = [].concat(sources[i].include || [])
+      const exclude = [].concat(sources[i].exclude || [])
+      if (include.length && !include.some(pattern => matchesPattern(url, pattern))) {
+        return false
+      }
+      if (exclude.some(pattern => matchesPattern(url, pattern))) {
+        return false
+      }
+    }
+    return true
+  }
+
   /**
    * Caching process (optional).
    */
   async cache (pageWorker, op) {
     await cache.savePageMarkup(pageWorker, this)
-    if (this.getSetting('cacheWithScreenshot')) {
+    // Static pages are not rendered.
+    if (this.getSetting('cacheWithScreenshot') && pageWorker.engine !== 'static') {
       await cache.screenshot(pageWorker, this)
     }
   }
@@ -393,8 +1977,10 @@ class Main extends EventEmitter {
     const extractor = new Extractor(op, pageWorker, this)
     const entity = await extractor.run()
 
-    // Allow alterations before saving.
-    this.emit('alter.extraction.result', entity, extractor)
+    // Expose how the page was discovered.
+    if (this.getSetting('entityMetadataKey')) {
+      entity[this.getSetting('entityMetadataKey')] = extractor.getMetadata()
+    }
 
     // Debug.
     // console.log(`Main - resulting entity object (${extractor.entityType}.${extractor.bundle}) :`)
@@ -402,6 +1988,19 @@ class Main extends EventEmitter {
     // console.log(`Main - resulting entity object (${entityType}.${bundle}) *content[1].props* :`)
     // console.log(entity.content[1].props)
 
+    await this.storeEntity(entity, extractor)
+  }
+
+  /**
+   * Stores an extracted entity (after allowing alterations).
+   *
+   * @emits alter.extraction.result
+   *
+   * @param {object} entity extracted object.
+   * @param {Extractor} extractor instance.
+   */
+  async storeEntity (entity, extractor) {
+    this.emit('alter.extraction.result', entity, extractor)
     await output.saveExtractionResult(entity, extractor)
   }
 }
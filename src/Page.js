@@ -1,4 +1,6 @@
 const cashPath = require.resolve('cash-dom')
+const urlParse = require('url-parse')
+const { matchesPattern } = require('./utils/url')
 // const debug = require('debug')
 // const debugConsole = debug('simple-scraps:console')
 // const debugError = debug('simple-scraps:error')
@@ -13,42 +15,269 @@ const cashPath = require.resolve('cash-dom')
  * Defines a single headless browser page "worker".
  *
  * Allows multiple pages to run at the same time.
+ *
+ * The underlying Puppeteer page may be replaced during the session : it is
+ * recycled after a number of navigations or when its memory usage grows too
+ * much, and when it (or the whole browser) crashed.
+ * @see Main.maintainPage()
  */
 class Page {
-  constructor (main) {
+  /**
+   * @param {Main} main instance.
+   * @param {string} context (optional) name of the browser context the page
+   *  belongs to (defaults to the default context).
+   */
+  constructor (main, context) {
     this.main = main
+    this.context = context || null
+    this.engine = 'browser'
+    this.profile = null
+    this.requestBlocking = null
+    this.isIntercepting = false
+    this.requestHandler = null
+    this.url = null
+    this.navigations = 0
+    this.crashed = false
   }
 
   /**
    * Instanciates the new page.
    */
   async init () {
-    this.page = await this.main.browser.newPage()
+    const browserContext = await this.main.getBrowserContext(this.context)
+    this.page = await browserContext.newPage()
+    this.attachListeners()
     await this.page.setViewport({
       width: this.main.getSetting('pageW'),
       height: this.main.getSetting('pageH')
     })
+    if (this.main.getSetting('userAgent')) {
+      await this.page.setUserAgent(this.main.getSetting('userAgent'))
+    }
+    this.defaultUserAgent = await this.main.browser.userAgent()
   }
 
   /**
-   * Attaches page event handlers and navigates to given URL.
+   * Attaches page event handlers (once per Puppeteer page).
+   *
+   * @emits page.error
    */
-  async open (url) {
+  attachListeners () {
     // TODO (wip) workaround not found.
-    // this.page.on('pageerror', text => debugError(`${text} (in : ${url})`))
-    // this.page.on('console', msg => debugConsole(`${msg.type()} ${msg.text()} at ${url}`))
-    // this.page.on('dialog', dialog => this.handleDialog(dialog, url))
+    // this.page.on('pageerror', text => debugError(`${text} (in : ${this.url})`))
+    // this.page.on('console', msg => debugConsole(`${msg.type()} ${msg.text()} at ${this.url}`))
+    // this.page.on('dialog', dialog => this.handleDialog(dialog, this.url))
     // this.page.on('close', () => debugConsole('--- The browser page was closed ---'))
-    this.page.on('pageerror', text => console.log(`${text} (in : ${url})`))
+    this.page.on('pageerror', text => console.log(`${text} (in : ${this.url})`))
     this.page.on('console', msg => console.log(`${msg.text()}`))
-    this.page.on('dialog', dialog => this.handleDialog(dialog, url))
+    this.page.on('dialog', dialog => this.handleDialog(dialog, this.url))
     this.page.on('close', () => console.log('--- The browser page was closed ---'))
+    // Emitted when the page crashes (e.g. out of memory).
+    this.page.on('error', error => {
+      this.crashed = true
+      this.main.emit('page.error', error, this.url, this)
+    })
+  }
+
+  /**
+   * Determines if the page (and its browser) can still be used.
+   */
+  isHealthy () {
+    return !this.crashed && !this.page.isClosed() && this.page.browser().isConnected()
+  }
+
+  /**
+   * Determines if the page must be replaced by a new one, according to the
+   * 'pageRecycleAfter' (number of navigations) and 'pageMaxHeapSize' (JS heap
+   * size in MB) settings.
+   *
+   * Measuring the heap size is not free : it only happens every
+   * 'pageHeapCheckInterval' navigations.
+   */
+  async shouldRecycle () {
+    const maxNavigations = this.main.getSetting('pageRecycleAfter')
+    if (maxNavigations && this.navigations >= maxNavigations) {
+      return true
+    }
+    const maxHeapSize = this.main.getSetting('pageMaxHeapSize')
+    const interval = this.main.getSetting('pageHeapCheckInterval') || 1
+    if (!maxHeapSize || !this.navigations || this.navigations % interval) {
+      return false
+    }
+    const metrics = await this.page.metrics()
+    return metrics.JSHeapUsedSize > maxHeapSize * 1024 * 1024
+  }
+
+  /**
+   * Closes the Puppeteer page (if it's still open), then opens a new one in
+   * the same browser context.
+   *
+   * The new page needs to be set up again (e.g. auth headers).
+   * @see Main.replacePage()
+   */
+  async recycle () {
+    // Planned closes are not worth logging (see attachListeners()).
+    this.page.removeAllListeners('close')
+    await this.page.close().catch(() => null)
+    this.profile = null
+    this.requestBlocking = null
+    this.isIntercepting = false
+    this.requestHandler = null
+    this.navigations = 0
+    this.crashed = false
+    await this.init()
+  }
+
+  /**
+   * Determines if the page is currently configured for given device profile.
+   *
+   * @param {string} name of the profile.
+   */
+  hasProfile (name) {
+    return Boolean(this.profile) && this.profile.name === name
+  }
+
+  /**
+   * Configures the page for given device profile (emulation).
+   *
+   * Nothing happens when the page is already configured for that profile.
+   * @see Main.getProfile()
+   *
+   * @param {object} profile definition.
+   */
+  async setProfile (profile) {
+    if (this.hasProfile(profile.name)) {
+      return
+    }
+    const page = this.page
+
+    await page.setViewport(profile.viewport)
+    await page.setUserAgent(profile.userAgent || this.defaultUserAgent)
+
+    // Custom headers (e.g. from the 'auth' setting) are replaced by this call.
+    const headers = this.main.getAuth(this.context).getHeaders()
+    if (profile.locale || profile.acceptLanguage) {
+      headers['accept-language'] = profile.acceptLanguage || getAcceptLanguage(profile.locale)
+    }
+    await page.setExtraHTTPHeaders(headers)
+
+    // An empty value resets the locale and timezone to the browser defaults.
+    const client = await page.target().createCDPSession()
+    await client.send('Emulation.setLocaleOverride', { locale: profile.locale || '' })
+    await client.detach()
+    await page.emulateTimezone(profile.timezone)
+
+    if (profile.geolocation) {
+      await page.setGeolocation(profile.geolocation)
+    }
 
-    await this.page.goto(url)
+    this.profile = profile
+  }
+
+  /**
+   * Navigates to given URL.
+   *
+   * Then waits until the page is ready according to given conditions.
+   * @see Main.getPageReadiness()
+   *
+   * @param {string} url to open.
+   * @param {object} ready (optional) readiness conditions :
+   *  - waitUntil : Puppeteer lifecycle event(s) ('load', 'domcontentloaded',
+   *    'networkidle0', 'networkidle2').
+   *  - waitForSelector : CSS selector of an element that must be present.
+   *  - waitForFunction : JS expression that must evaluate to a truthy value.
+   *  - settleDelay : fixed delay (in ms) to wait at the end.
+   *  - navigationTimeout : max time (in ms) of each step above.
+   * @return {object} Puppeteer HTTPResponse instance (may be null).
+   */
+  async open (url, ready) {
+    ready = ready || {}
+    this.url = url
+    this.navigations++
+
+    // Sites only get the emulated position if they are allowed to.
+    if (this.profile && this.profile.geolocation) {
+      await this.page.browserContext().overridePermissions(urlParse(url).origin, ['geolocation'])
+    }
+
+    const timeout = ready.navigationTimeout
+    const response = await this.page.goto(url, { waitUntil: ready.waitUntil, timeout })
+
+    if (ready.waitForSelector) {
+      await this.page.waitForSelector(ready.waitForSelector, { timeout })
+    }
+    if (ready.waitForFunction) {
+      await this.page.waitForFunction(ready.waitForFunction, { timeout })
+    }
+    if (ready.settleDelay) {
+      await new Promise((resolve, reject) => setTimeout(resolve, ready.settleDelay))
+    }
 
     if (this.main.getSetting('addDomQueryHelper')) {
       await this.addDomQueryHelper()
     }
+
+    return response
+  }
+
+  /**
+   * Sets which requests must be blocked during next navigations.
+   *
+   * Request interception is only enabled while there is something to block.
+   * @see Main.getRequestBlocking()
+   *
+   * @param {object} blocking (optional) with the keys 'resourceTypes' (e.g.
+   *  ['image', 'font']), 'patterns' (URL patterns to block) and 'allow' (URL
+   *  patterns that are never blocked). Falsy values disable blocking.
+   */
+  async setRequestBlocking (blocking) {
+    this.requestBlocking = blocking || null
+    const enabled = Boolean(this.requestBlocking)
+    if (enabled === this.isIntercepting) {
+      return
+    }
+    if (!this.requestHandler) {
+      this.requestHandler = request => this.handleRequest(request)
+      this.page.on('request', this.requestHandler)
+    }
+    await this.page.setRequestInterception(enabled)
+    this.isIntercepting = enabled
+  }
+
+  /**
+   * Aborts or continues intercepted requests.
+   */
+  handleRequest (request) {
+    if (!this.isIntercepting) {
+      return
+    }
+    // The page itself must never be blocked.
+    const isPage = request.isNavigationRequest() && request.frame() === this.page.mainFrame()
+    if (!isPage && this.isBlocked(request.url(), request.resourceType())) {
+      request.abort('blockedbyclient')
+      return
+    }
+    request.continue()
+  }
+
+  /**
+   * Determines if a request must be blocked.
+   *
+   * @param {string} url of the requested resource.
+   * @param {string} resourceType e.g. 'image', 'script', 'font'.
+   */
+  isBlocked (url, resourceType) {
+    const blocking = this.requestBlocking
+    if (!blocking) {
+      return false
+    }
+    if ((blocking.allow || []).some(pattern => matchesPattern(url, pattern))) {
+      return false
+    }
+    if ((blocking.resourceTypes || []).includes(resourceType)) {
+      return true
+    }
+    return (blocking.patterns || []).some(pattern => matchesPattern(url, pattern))
   }
 
   /**
@@ -75,6 +304,92 @@ class Page {
     }
   }
 
+  /**
+   * Scrolls to the bottom of the page until no new content appears (infinite
+   * scroll).
+   *
+   * @example
+   *  // Loads up to 100 articles, scrolling at most 10 times :
+   *  const count = await pageWorker.scrollToEnd({
+   *    selector: '.view-articles article h2 > a',
+   *    maxItems: 100,
+   *    maxRounds: 10
+   *  })
+   *
+   * @param {object} options (optional) with the keys :
+   *  - selector : stops when the number of matching elements no longer grows
+   *    (defaults to comparing the page height).
+   *  - maxRounds : max number of scrolls (defaults to 'scrollMaxRounds'
+   *    setting).
+   *  - maxItems : stops when this number of matching elements is reached.
+   *  - delay : time to wait for new content after each scroll, in ms
+   *    (defaults to 'scrollDelay' setting).
+   * @return {number} The number of matching elements (or the page height when
+   *  no selector is given).
+   */
+  async scrollToEnd (options) {
+    const { selector, maxRounds, maxItems, delay } = {
+      maxRounds: this.main.getSetting('scrollMaxRounds'),
+      delay: this.main.getSetting('scrollDelay'),
+      ...options
+    }
+    /* istanbul ignore next */
+    const measure = () => selector
+      ? this.page.$$eval(selector, items => items.length)
+      : this.page.evaluate(() => document.body.scrollHeight)
+
+    let count = await measure()
+    for (let round = 0; round < maxRounds; round++) {
+      if (maxItems && count >= maxItems) {
+        break
+      }
+      /* istanbul ignore next */
+      await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight))
+      await new Promise((resolve, reject) => setTimeout(resolve, delay))
+      const newCount = await measure()
+      if (newCount <= count) {
+        break
+      }
+      count = newCount
+    }
+    return count
+  }
+
+  /**
+   * Scrolls through the entire page (1 viewport height at a time) to trigger
+   * lazy loaders (e.g. images), then scrolls back to the top.
+   *
+   * @param {object} options (optional) with the keys :
+   *  - maxSteps : max number of scrolls (defaults to 'lazyLoadMaxSteps'
+   *    setting).
+   *  - delay : time to wait after each scroll, in ms (defaults to
+   *    'lazyLoadDelay' setting).
+   */
+  async triggerLazyLoad (options) {
+    const { maxSteps, delay } = {
+      maxSteps: this.main.getSetting('lazyLoadMaxSteps'),
+      delay: this.main.getSetting('lazyLoadDelay'),
+      ...options
+    }
+    const step = this.page.viewport().height
+    let position = 0
+
+    for (let i = 0; i < maxSteps; i++) {
+      /* istanbul ignore next */
+      const height = await this.page.evaluate(() => document.body.scrollHeight)
+      if (position >= height) {
+        break
+      }
+      position += step
+      /* istanbul ignore next */
+      await this.page.evaluate(y => window.scrollTo(0, y), position)
+      await new Promise((resolve, reject) => setTimeout(resolve, delay))
+    }
+
+    /* istanbul ignore next */
+    await this.page.evaluate(() => window.scrollTo(0, 0))
+  }
+
   /**
    * Returns the entire page HTML markup.
    */
@@ -95,4 +410,19 @@ class Page {
   }
 }
 
+/**
+ * Returns the 'Accept-Language' header value for given locale.
+ *
+ * @example
+ *  // Expected output : 'fr-FR,fr;q=0.9'
+ *  console.log(getAcceptLanguage('fr-FR'))
+ */
+const getAcceptLanguage = (locale) => {
+  const language = locale.split('-')[0]
+  if (language === locale) {
+    return locale
+  }
+  return `${locale},${language};q=0.9`
+}
+
 module.exports = Page
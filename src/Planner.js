@@ -0,0 +1,266 @@
+const Extractor = require('./Extractor')
+const Leaf = require('./composite/Leaf')
+const dom = require('./utils/dom')
+
+/**
+ * Reports what a crawling session would do, without extracting or storing
+ * anything (dry run).
+ *
+ * Entry points and the pages "follow" blocks lead to are opened as usual, so
+ * that the links each block would queue are collected, along with the ones cut
+ * off by 'maxPagesToCrawl' (and the other limits). Only a sample of the pages
+ * of each extraction destination is opened : instead of extracting them, the
+ * extraction configs matching their destination (and the nested ones, e.g.
+ * 'components') are checked against the page.
+ * @see Main.dryRun()
+ */
+class Planner {
+  constructor (main, sampleSize) {
+    this.main = main
+    this.sampleSize = sampleSize
+    this.blocks = {}
+    this.samples = {}
+    this.sampled = {}
+    this.skipped = []
+
+    // Only the first pages of each destination get extracted (the others are
+    // reported in the block that found them).
+    main.on('pre-queue.operation.extract', (url, op) => {
+      const count = this.sampled[op.to] || 0
+      if (count >= this.sampleSize) {
+        op.skip = true
+        return
+      }
+      this.sampled[op.to] = count + 1
+    })
+    main.on('skip.url', (url, reason, op) => this.addSkipped(url, reason, op))
+  }
+
+  /**
+   * Returns the report of given "follow" (or "sitemap") block operation.
+   */
+  getBlock (op) {
+    const id = this.main.getLimitID(op)
+    if (!(id in this.blocks)) {
+      this.blocks[id] = {
+        entryPoint: op.conf.url,
+        context: op.context,
+        to: op.to,
+        selector: op.selector,
+        pattern: op.pattern,
+        maxPagesToCrawl: op.maxPagesToCrawl,
+        pages: [],
+        queued: [],
+        cut: [],
+        skipped: {}
+      }
+    }
+    return this.blocks[id]
+  }
+
+  /**
+   * Records a page where given block looked for links.
+   *
+   * @param {string} url of the page.
+   * @param {object} op the "crawl" operation of the page.
+   * @param {number} found the number of links matching the block selector.
+   */
+  addPage (url, op, found) {
+    this.getBlock(op).pages.push({ url, found })
+  }
+
+  /**
+   * Records a link that would be queued.
+   *
+   * @param {string} url found.
+   * @param {object} op the operation of the page where it was found.
+   */
+  addLink (url, op) {
+    this.getBlock(op).queued.push(url)
+  }
+
+  /**
+   * Records a link that would not be queued.
+   */
+  addSkipped (url, reason, op) {
+    // Entry points may be disallowed by robots.txt.
+    if (!op || !op.to) {
+      this.skipped.push({ url, reason })
+      return
+    }
+    const block = this.getBlock(op)
+    if (reason === 'limit') {
+      block.cut.push(url)
+      return
+    }
+    if (!(reason in block.skipped)) {
+      block.skipped[reason] = []
+    }
+    block.skipped[reason].push(url)
+  }
+
+  /**
+   * Checks which extraction configs match elements in given (sample) page.
+   *
+   * The extraction configs are the ones the Extractor would use for the
+   * operation destination, and the nested ones (e.g. 'components'), which may
+   * match anywhere in the page.
+   * @see Extractor.mapConfig()
+   */
+  async inspect (pageWorker, op) {
+    const extractor = new Extractor(op, pageWorker, this.main)
+    const page = pageWorker.page
+
+    if (!(op.to in this.samples)) {
+      this.samples[op.to] = []
+    }
+    this.samples[op.to].push({
+      url: this.main.normalizeUrl(page.url()),
+      depth: op.depth || 0,
+      referrer: op.referrer || null,
+      extract: await countMatches(extractor, extractor.rootExtractionConfigs),
+      nested: await countMatches(extractor, extractor.nestedExtractionConfigs)
+    })
+  }
+
+  /**
+   * Returns the dry run report.
+   *
+   * @example
+   *  // Expected output (e.g.) :
+   *  // {
+   *  //   blocks: [
+   *  //     {
+   *  //       entryPoint: 'https://www.chouette.net.br/blog',
+   *  //       to: 'content/blog',
+   *  //       selector: '.view-chouette-articles article h2 > a',
+   *  //       maxPagesToCrawl: 2,
+   *  //       pages: [{ url: 'https://www.chouette.net.br/blog', found: 4 }],
+   *  //       queued: ['https://www.chouette.net.br/blog/a', 'https://www.chouette.net.br/blog/b'],
+   *  //       cut: ['https://www.chouette.net.br/blog/c'],
+   *  //       skipped: { domain: ['https://www.twitter.com/share'] }
+   *  //     }
+   *  //   ],
+   *  //   samples: {
+   *  //     'content/blog': [
+   *  //       {
+   *  //         url: 'https://www.chouette.net.br/blog/a',
+   *  //         depth: 1,
+   *  //         referrer: 'https://www.chouette.net.br/blog',
+   *  //         extract: [{ as: 'entity.title', selector: 'header h1.c-title', count: 1 }],
+   *  //         nested: [{ as: 'component.Lede.text', selector: '.c-text-block', count: 0 }]
+   *  //       }
+   *  //     ]
+   *  //   },
+   *  //   skipped: [],
+   *  //   failures: []
+   *  // }
+   *  console.log(await scraps.dryRun())
+   */
+  getReport () {
+    return {
+      blocks: Object.values(this.blocks),
+      samples: this.samples,
+      skipped: this.skipped,
+      failures: this.main.getFailures()
+    }
+  }
+}
+
+/**
+ * Prepares extraction configs for evaluation in page context.
+ *
+ * Elements matched by 'select' JS expressions (or functions) get a marker
+ * class, like during extraction.
+ * @see Iterable.scopeSelector()
+ *
+ * Selectors of multi-field items props are prepended with the delimiter of
+ * their group, if any.
+ * @see Step.scopeMultiFieldSelector()
+ *
+ * @param {Extractor} extractor instance (not run).
+ * @param {array} configs extraction configs.
+ * @param {object} multiFieldScopes (optional) the 'multiFieldScopes' of the
+ *  parent config.
+ */
+const prepareConfigs = async (extractor, configs, multiFieldScopes) => {
+  const prepared = []
+  for (const config of (configs || [])) {
+    const item = { as: config.as }
+    if (config.select) {
+      item.select = String(config.select)
+      try {
+        const leaf = new Leaf(extractor, config)
+        await leaf.scopeSelector()
+        item.marker = leaf.markerClass
+      } catch (error) {
+        item.error = error.message
+      }
+    } else if (config.selector) {
+      const group = String(config.as).split('.').find(part => part.endsWith('[]'))
+      item.selector = (multiFieldScopes && group && multiFieldScopes[group.slice(0, -2)])
+        ? `${multiFieldScopes[group.slice(0, -2)]} ${config.selector}`
+        : config.selector
+    }
+    if (Array.isArray(config.extract)) {
+      item.extract = await prepareConfigs(extractor, config.extract, config.multiFieldScopes)
+    }
+    if (config.fallback) {
+      const { as, selector, select } = config
+      item.fallback = (await prepareConfigs(extractor, [{ as, selector, select, ...config.fallback }]))[0]
+    }
+    prepared.push(item)
+  }
+  return prepared
+}
+
+/**
+ * Counts the elements matched by given extraction configs in page.
+ *
+ * Nested extraction configs (e.g. the fields of a component) are counted in
+ * the elements matched by their parent. Fallback configs without selector use
+ * the one of the config they belong to.
+ *
+ * @return {array} Objects having the keys 'as', 'selector' (or 'select'),
+ *  'count' (or 'error', e.g. for invalid selectors), and optionally 'extract'
+ *  (nested configs) and 'fallback'.
+ */
+const countMatches = async (extractor, configs) => {
+  /* istanbul ignore next */
+  return await dom.evaluate(
+    extractor.pageWorker.page,
+    (configs) => {
+      const find = (config, scopes) => {
+        const selector = config.marker ? `.${config.marker}` : config.selector
+        if (!scopes) {
+          return [...document.querySelectorAll(selector)]
+        }
+        const found = new Set()
+        scopes.forEach(scope => scope.querySelectorAll(`:scope ${selector}`).forEach(e => found.add(e)))
+        return [...found]
+      }
+      const count = (config, scopes) => {
+        const { extract, fallback, marker, ...result } = config
+        if (!result.error) {
+          try {
+            const matches = find(config, scopes)
+            result.count = matches.length
+            if (extract) {
+              result.extract = extract.map(child => count(child, matches))
+            }
+          } catch (error) {
+            result.error = error.message
+          }
+        }
+        if (fallback) {
+          result.fallback = count(fallback, scopes)
+        }
+        return result
+      }
+      return configs.map(config => count(config))
+    },
+    await prepareConfigs(extractor, configs)
+  )
+}
+
+module.exports = Planner
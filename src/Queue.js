@@ -8,6 +8,7 @@ class Queue {
   constructor () {
     this.items = {}
     this.emptyKeys = []
+    this.lockedKeys = []
   }
 
   addItem (key, item) {
@@ -28,6 +29,17 @@ class Queue {
     return this.items[key].shift()
   }
 
+  /**
+   * Returns a copy of the items currently queued for given key (without
+   * dequeuing them).
+   */
+  getItems (key) {
+    if (!(key in this.items)) {
+      return []
+    }
+    return [...this.items[key]]
+  }
+
   getItemsCount (key) {
     if (!(key in this.items)) {
       return 0
@@ -68,6 +80,46 @@ class Queue {
       }
     }
   }
+
+  /**
+   * Returns the first key having items that is not already locked, and locks
+   * it.
+   *
+   * Allows several consumers to pull keys concurrently without ever getting
+   * the same key at the same time.
+   *
+   * @param {function} filter (optional) : callback receiving the key, which
+   *  must return true for the key to be eligible.
+   */
+  lockNextKey (filter) {
+    const keys = this.getKeys()
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (this.isLocked(key) || !this.getItemsCount(key)) {
+        continue
+      }
+      if (filter && !filter(key)) {
+        continue
+      }
+      this.lockedKeys.push(key)
+      return key
+    }
+  }
+
+  unlockKey (key) {
+    const i = this.lockedKeys.indexOf(key)
+    if (i !== -1) {
+      this.lockedKeys.splice(i, 1)
+    }
+  }
+
+  isLocked (key) {
+    return this.lockedKeys.includes(key)
+  }
+
+  getLockedKeysCount () {
+    return this.lockedKeys.length
+  }
 }
 
 module.exports = Queue
@@ -0,0 +1,223 @@
+const urlParse = require('url-parse')
+const { get } = require('./utils/http')
+
+/**
+ * Implements the robots exclusion protocol (robots.txt).
+ *
+ * Each host's robots.txt is fetched once per session and cached. Rules are
+ * evaluated for the product token of the 'userAgent' setting (e.g.
+ * 'SimpleScraps' for 'SimpleScraps/1.0 (+https://example.com)'), or for the
+ * '*' group when no specific group matches.
+ *
+ * Following RFC 9309 :
+ * - when robots.txt is not found (4xx status), everything is allowed,
+ * - when it is unreachable (5xx status or network error), everything is
+ *   disallowed, until it gets fetched again ('robotsRetryDelay' ms later).
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc9309.html
+ * @see Main.isAllowedByRobots()
+ */
+class Robots {
+  constructor (main) {
+    this.main = main
+    this.hosts = {}
+    this.expirations = {}
+  }
+
+  /**
+   * Determines if given URL may be crawled.
+   *
+   * URLs that don't use the HTTP(S) protocol (e.g. local files) are always
+   * allowed.
+   */
+  async isAllowed (url) {
+    const parsedUrl = urlParse(url)
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return true
+    }
+    const rules = await this.getRules(url)
+    return this.evaluate(rules, parsedUrl.pathname + parsedUrl.query)
+  }
+
+  /**
+   * Returns the rules applying to our user agent for given URL's host.
+   *
+   * Also applies the 'Crawl-delay' directive (if any) to the host scheduling.
+   * @see HostScheduler.setMinInterval()
+   */
+  async getRules (url) {
+    const origin = urlParse(url).origin
+
+    // Rules of unreachable robots.txt files expire.
+    if (origin in this.expirations && this.expirations[origin] <= Date.now()) {
+      delete this.hosts[origin]
+      delete this.expirations[origin]
+    }
+
+    // The promise is cached so that concurrent calls only fetch once.
+    if (!(origin in this.hosts)) {
+      this.hosts[origin] = this.fetch(origin).then(rules => {
+        if (rules.unreachable) {
+          this.expirations[origin] = Date.now() + this.main.getSetting('robotsRetryDelay')
+        }
+        if (rules.crawlDelay) {
+          this.main.scheduler.setMinInterval(url, rules.crawlDelay * 1000)
+        }
+        return rules
+      })
+    }
+
+    return await this.hosts[origin]
+  }
+
+  /**
+   * Fetches and parses the robots.txt of given origin.
+   */
+  async fetch (origin) {
+    const disallowAll = { rules: [{ allow: false, pattern: '/' }], crawlDelay: 0, unreachable: true }
+    let response = null
+
+    try {
+      response = await get(`${origin}/robots.txt`, {
+        headers: { 'user-agent': this.main.getSetting('userAgent') || 'SimpleScraps' },
+        timeout: this.main.getSetting('robotsTimeout')
+      })
+    } catch (error) {
+      return disallowAll
+    }
+
+    if (response.status >= 500) {
+      return disallowAll
+    }
+    if (response.status >= 400) {
+      return { rules: [], crawlDelay: 0 }
+    }
+
+    return this.parse(response.body.toString(), this.getProductToken())
+  }
+
+  /**
+   * Returns the product token of the 'userAgent' setting.
+   *
+   * @example
+   *   // Given the 'userAgent' setting 'SimpleScraps/1.0 (+https://example.com)' :
+   *   // Expected output : 'simplescraps'
+   *   console.log(robots.getProductToken())
+   */
+  getProductToken () {
+    const userAgent = this.main.getSetting('userAgent')
+    if (!userAgent) {
+      return '*'
+    }
+    return userAgent.split(/[/\s]/)[0].toLowerCase()
+  }
+
+  /**
+   * Extracts the rules applying to given user agent from robots.txt contents.
+   *
+   * Rules of all groups matching the user agent are combined (user agents
+   * match the product token case-insensitively). If none matches, the rules of
+   * the '*' group are used.
+   *
+   * @param {string} content of the robots.txt file.
+   * @param {string} productToken (lowercase) of the user agent.
+   * @return {object} With the keys 'rules' (array of objects having the keys
+   *  'allow' and 'pattern'), 'crawlDelay' (in seconds) and 'unreachable' (true
+   *  when fetch() could not get the file).
+   */
+  parse (content, productToken) {
+    const groups = []
+    let group = null
+    let previousWasAgent = false
+
+    content.split(/\r\n|\r|\n/).forEach(line => {
+      const match = line.replace(/#.*$/, '').match(/^\s*([a-zA-Z-]+)\s*:\s*(.*?)\s*$/)
+      if (!match) {
+        return
+      }
+      const directive = match[1].toLowerCase()
+      const value = match[2]
+
+      if (directive === 'user-agent') {
+        // Consecutive user-agent lines share the same group.
+        if (!previousWasAgent) {
+          group = { agents: [], rules: [], crawlDelay: 0 }
+          groups.push(group)
+        }
+        group.agents.push(value.toLowerCase())
+        previousWasAgent = true
+        return
+      }
+      previousWasAgent = false
+
+      if (!group) {
+        return
+      }
+
+      switch (directive) {
+        case 'allow':
+        case 'disallow':
+          // An empty value means nothing is disallowed.
+          if (value.length) {
+            group.rules.push({ allow: directive === 'allow', pattern: value })
+          }
+          break
+        case 'crawl-delay':
+          if (!isNaN(parseFloat(value))) {
+            group.crawlDelay = parseFloat(value)
+          }
+          break
+      }
+    })
+
+    let matchingGroups = groups.filter(g => productToken !== '*' && g.agents.includes(productToken))
+    if (!matchingGroups.length) {
+      matchingGroups = groups.filter(g => g.agents.includes('*'))
+    }
+
+    return {
+      rules: matchingGroups.reduce((rules, g) => rules.concat(g.rules), []),
+      crawlDelay: Math.max(0, ...matchingGroups.map(g => g.crawlDelay))
+    }
+  }
+
+  /**
+   * Evaluates rules for given path (including query string).
+   *
+   * The most specific rule (i.e. the longest matching pattern) wins. In case of
+   * equivalent allow and disallow rules, allow wins.
+   */
+  evaluate (parsedRules, path) {
+    let allowed = true
+    let matchLength = -1
+
+    parsedRules.rules.forEach(rule => {
+      if (!this.matches(rule.pattern, path)) {
+        return
+      }
+      if (rule.pattern.length > matchLength ||
+        (rule.pattern.length === matchLength && rule.allow)) {
+        allowed = rule.allow
+        matchLength = rule.pattern.length
+      }
+    })
+
+    return allowed
+  }
+
+  /**
+   * Determines if a robots.txt path pattern matches given path.
+   *
+   * Supports the '*' wildcard and the '$' end anchor.
+   */
+  matches (pattern, path) {
+    const anchored = pattern.endsWith('$')
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path)
+  }
+}
+
+module.exports = Robots
@@ -0,0 +1,299 @@
+const fs = require('fs')
+const { JSDOM } = require('jsdom')
+const urlParse = require('url-parse')
+const { get } = require('./utils/http')
+
+/**
+ * Defines a lightweight page "worker" for static (server-rendered) sites.
+ *
+ * Instead of a headless browser page, pages are fetched using plain HTTP GET
+ * requests and parsed with jsdom (page scripts are not executed). This is
+ * selected using the 'engine' setting or entry point key ('static').
+ *
+ * It exposes the same methods as Page, and its 'page' property implements the
+ * subset of the Puppeteer Page API used by the extraction process (selection,
+ * text, markup, attributes, class marking).
+ * @see src/utils/dom.js
+ *
+ * Browser-only features (scripted actions, screenshots, form login) are not
+ * supported.
+ */
+class StaticPage {
+  /**
+   * @param {Main} main instance.
+   * @param {string} context (optional) name of the browser context (static
+   *  pages of different contexts don't share auth headers).
+   */
+  constructor (main, context) {
+    this.main = main
+    this.context = context || null
+    this.engine = 'static'
+    this.profile = null
+  }
+
+  /**
+   * Instanciates the new page.
+   */
+  async init () {
+    this.page = new JsdomPage(this.main)
+  }
+
+  /**
+   * Static pages don't crash, and parsed documents are released after each
+   * navigation.
+   * @see Page.isHealthy()
+   */
+  isHealthy () {
+    return true
+  }
+
+  async shouldRecycle () {
+    return false
+  }
+
+  async recycle () {
+    await this.page.close()
+    this.profile = null
+    await this.init()
+  }
+
+  /**
+   * Fetches and parses given URL.
+   *
+   * Readiness conditions are evaluated once against the parsed document.
+   * @see Page.open()
+   *
+   * @return {object} Response object implementing the status() and headers()
+   *  methods (like Puppeteer HTTPResponse instances).
+   */
+  async open (url, ready) {
+    ready = ready || {}
+
+    const response = await this.page.goto(url, { timeout: ready.navigationTimeout })
+
+    if (ready.waitForSelector) {
+      await this.page.waitForSelector(ready.waitForSelector)
+    }
+    if (ready.waitForFunction) {
+      await this.page.waitForFunction(ready.waitForFunction)
+    }
+
+    return response
+  }
+
+  hasProfile (name) {
+    return Boolean(this.profile) && this.profile.name === name
+  }
+
+  /**
+   * Only the user agent and language of device profiles apply to static
+   * pages (as request headers).
+   * @see Page.setProfile()
+   */
+  async setProfile (profile) {
+    if (this.hasProfile(profile.name)) {
+      return
+    }
+    const headers = {}
+    if (profile.userAgent) {
+      headers['user-agent'] = profile.userAgent
+    }
+    if (profile.acceptLanguage || profile.locale) {
+      headers['accept-language'] = profile.acceptLanguage || profile.locale
+    }
+    this.page.profileHeaders = headers
+    this.profile = profile
+  }
+
+  /**
+   * Requests of static pages are never intercepted (resources are not
+   * downloaded).
+   */
+  async setRequestBlocking () {}
+
+  /**
+   * Nothing gets loaded when scrolling static pages.
+   *
+   * @return {number} The number of elements matching the 'selector' option.
+   */
+  async scrollToEnd (options) {
+    const { selector } = { ...options }
+    if (!selector) {
+      return 0
+    }
+    return this.page.$$eval(selector, items => items.length)
+  }
+
+  async triggerLazyLoad () {}
+
+  /**
+   * Returns the entire page HTML markup.
+   */
+  async getContent () {
+    return await this.page.content()
+  }
+}
+
+/**
+ * Implements the subset of Puppeteer's Page API used by the extraction process
+ * on top of a jsdom document.
+ *
+ * Functions passed to evaluate(), $eval() and $$eval() are serialized and run
+ * inside the jsdom window (like Puppeteer does in the browser), so they can
+ * only use their arguments and the page globals (e.g. 'document').
+ */
+class JsdomPage {
+  constructor (main) {
+    this.main = main
+    this.dom = null
+    this.currentUrl = 'about:blank'
+    this.headers = {}
+    this.profileHeaders = {}
+    this.keyboard = {
+      press: async () => {
+        throw Error("The 'static' engine does not support keyboard.press()")
+      }
+    }
+  }
+
+  url () {
+    return this.currentUrl
+  }
+
+  async goto (url, options) {
+    const { timeout } = { ...options }
+    let response = null
+
+    if (urlParse(url).protocol === 'file:') {
+      const content = fs.readFileSync(decodeURIComponent(urlParse(url).pathname))
+      response = { status: 200, headers: {}, body: content, url }
+    } else {
+      response = await get(url, {
+        headers: {
+          'user-agent': this.main.getSetting('userAgent') || 'SimpleScraps',
+          ...this.headers,
+          ...this.profileHeaders
+        },
+        timeout: timeout || this.main.getSetting('navigationTimeout')
+      })
+    }
+
+    await this.close()
+    this.currentUrl = response.url
+    this.dom = new JSDOM(response.body.toString(), {
+      url: response.url,
+      runScripts: 'outside-only'
+    })
+
+    return {
+      status: () => response.status,
+      headers: () => response.headers,
+      url: () => response.url
+    }
+  }
+
+  async content () {
+    return this.dom.serialize()
+  }
+
+  async $ (selector) {
+    return this.getDocument().querySelector(selector)
+  }
+
+  async $$eval (selector, pageFunction, ...args) {
+    const items = [...this.getDocument().querySelectorAll(selector)]
+    return this.run(pageFunction, items, ...args)
+  }
+
+  async $eval (selector, pageFunction, ...args) {
+    const item = this.getDocument().querySelector(selector)
+    if (!item) {
+      throw Error(`Error: failed to find element matching selector "${selector}"`)
+    }
+    return this.run(pageFunction, item, ...args)
+  }
+
+  async evaluate (pageFunction, ...args) {
+    if (typeof pageFunction === 'string') {
+      return serialize(await this.getWindow().eval(pageFunction))
+    }
+    return this.run(pageFunction, ...args)
+  }
+
+  /**
+   * The document is fully parsed once opened : elements either exist or not.
+   */
+  async waitForSelector (selector) {
+    const element = this.getDocument().querySelector(selector)
+    if (!element) {
+      throw Error(`waiting for selector "${selector}" failed (static page)`)
+    }
+    return element
+  }
+
+  async waitForFunction (pageFunction, options, ...args) {
+    const result = await this.evaluate(pageFunction, ...args)
+    if (!result) {
+      throw Error('waiting for function failed (static page)')
+    }
+    return result
+  }
+
+  async setExtraHTTPHeaders (headers) {
+    this.headers = { ...this.headers, ...headers }
+  }
+
+  async authenticate (credentials) {
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')
+    this.headers.authorization = `Basic ${token}`
+  }
+
+  async evaluateOnNewDocument () {}
+
+  async setUserAgent () {}
+
+  async close () {
+    if (this.dom) {
+      this.dom.window.close()
+    }
+  }
+
+  /**
+   * Runs given function inside the jsdom window.
+   */
+  async run (pageFunction, ...args) {
+    const fn = this.getWindow().eval(`(${pageFunction.toString()})`)
+    return serialize(await fn(...args))
+  }
+
+  getWindow () {
+    if (!this.dom) {
+      throw Error('No page was opened yet')
+    }
+    return this.dom.window
+  }
+
+  getDocument () {
+    return this.getWindow().document
+  }
+}
+
+// Browser-only features.
+;['click', 'type', 'select', 'hover', 'focus', 'screenshot', 'waitForNavigation', 'setCookie', 'target'].forEach(method => {
+  JsdomPage.prototype[method] = async () => {
+    throw Error(`The 'static' engine does not support ${method}()`)
+  }
+})
+
+/**
+ * Returns a copy of given value without references to DOM objects (like
+ * Puppeteer, which returns values serialized from the browser).
+ */
+const serialize = (value) => {
+  if (value === undefined) {
+    return undefined
+  }
+  return JSON.parse(JSON.stringify(value))
+}
+
+module.exports = StaticPage
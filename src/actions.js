@@ -0,0 +1,173 @@
+/**
+ * @file
+ * Contains scripted page actions implementations (user interactions that run
+ * before crawl or extract operations, e.g. "Load more" buttons, cookie walls,
+ * collapsed accordions, tabs loaded over AJAX).
+ *
+ * Each action is an object having the key 'action' (its type) and keys
+ * specific to that type :
+ * - click : 'selector'
+ * - type : 'selector', 'value', 'delay' (optional, between key strokes in ms)
+ * - select : 'selector', 'value' (string or array of option values)
+ * - scroll : 'selector' (optional, scrolls the element into view - defaults to
+ *   the bottom of the page)
+ * - hover : 'selector'
+ * - wait : 'delay' (in ms), 'selector' or 'function' (JS expression)
+ * - evaluate : 'script' (JS expression)
+ * - press : 'key' (e.g. 'Enter'), 'selector' (optional, element to focus)
+ *
+ * Common (optional) keys :
+ * - timeout : max time (in ms) to wait for the 'selector', the 'function' or
+ *   the 'script' (defaults to the 'actionTimeout' setting). Explicit delays
+ *   are not capped.
+ * - optional : when true, errors are ignored (reported through the
+ *   'action.error' event).
+ * - waitAfter : delay (in ms) to wait after the action.
+ * - repeatUntilGone : repeats the action until the 'selector' (or the selector
+ *   given as value) is no longer visible in the page, up to 'maxRepeat' times
+ *   (defaults to the 'actionMaxRepeat' setting).
+ *
+ * @example
+ *   // Clicks the "Load more" button until all items are loaded :
+ *   {
+ *     "action": "click",
+ *     "selector": ".view-articles .load-more",
+ *     "repeatUntilGone": true,
+ *     "waitAfter": 1000
+ *   }
+ */
+
+/**
+ * Runs given actions in order on given page.
+ *
+ * @emits action.error
+ *
+ * @param {Page} pageWorker instance.
+ * @param {array} actions to run.
+ * @param {Main} main instance.
+ */
+const run = async (pageWorker, actions, main) => {
+  for (let i = 0; i < actions.length; i++) {
+    const action = actions[i]
+    try {
+      await runAction(pageWorker.page, action, main)
+    } catch (error) {
+      const message = `Action '${action.action}' failed : ${error.message}`
+      main.emit('action.error', Error(message), action, pageWorker.page.url())
+      if (!action.optional) {
+        throw Error(message)
+      }
+    }
+  }
+}
+
+/**
+ * Runs a single action (repeatedly if it has the 'repeatUntilGone' key).
+ */
+const runAction = async (page, action, main) => {
+  if (!(action.action in handlers)) {
+    throw Error(`Unknown action '${action.action}'`)
+  }
+
+  const timeout = action.timeout || main.getSetting('actionTimeout')
+  let maxRepeat = 1
+  let goneSelector = null
+  if (action.repeatUntilGone) {
+    maxRepeat = action.maxRepeat || main.getSetting('actionMaxRepeat')
+    goneSelector = typeof action.repeatUntilGone === 'string'
+      ? action.repeatUntilGone
+      : action.selector
+  }
+
+  for (let i = 0; i < maxRepeat; i++) {
+    if (goneSelector && !await isVisible(page, goneSelector)) {
+      return
+    }
+    await handlers[action.action](page, action, timeout)
+    if (action.waitAfter) {
+      await sleep(action.waitAfter)
+    }
+  }
+}
+
+/**
+ * Determines if given selector matches a visible element in the page.
+ */
+const isVisible = async (page, selector) => {
+  /* istanbul ignore next */
+  return page.$eval(selector, el => Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length))
+    .catch(() => false)
+}
+
+const sleep = delay => new Promise((resolve, reject) => setTimeout(resolve, delay))
+
+/**
+ * Rejects if given promise is not settled within given timeout (in ms).
+ */
+const race = (promise, timeout) => {
+  let timer = null
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Error(`timeout ${timeout}ms exceeded`)), timeout)
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Implementations by action type.
+ */
+const handlers = {
+  click: async (page, action, timeout) => {
+    await page.waitForSelector(action.selector, { visible: true, timeout })
+    await page.click(action.selector)
+  },
+  type: async (page, action, timeout) => {
+    await page.waitForSelector(action.selector, { visible: true, timeout })
+    await page.type(action.selector, String(action.value), { delay: action.delay })
+  },
+  select: async (page, action, timeout) => {
+    await page.waitForSelector(action.selector, { timeout })
+    await page.select(action.selector, ...[].concat(action.value))
+  },
+  scroll: async (page, action, timeout) => {
+    if (!action.selector) {
+      /* istanbul ignore next */
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight))
+      return
+    }
+    await page.waitForSelector(action.selector, { timeout })
+    /* istanbul ignore next */
+    await page.$eval(action.selector, el => el.scrollIntoView())
+  },
+  hover: async (page, action, timeout) => {
+    await page.waitForSelector(action.selector, { visible: true, timeout })
+    await page.hover(action.selector)
+  },
+  wait: async (page, action, timeout) => {
+    if (action.selector) {
+      await page.waitForSelector(action.selector, { timeout })
+    }
+    if (action.function) {
+      await page.waitForFunction(action.function, { timeout })
+    }
+    if (action.delay) {
+      await sleep(action.delay)
+    }
+  },
+  evaluate: async (page, action, timeout) => {
+    await race(page.evaluate(action.script), timeout)
+  },
+  press: async (page, action, timeout) => {
+    if (action.selector) {
+      await page.waitForSelector(action.selector, { timeout })
+      await page.focus(action.selector)
+    }
+    await page.keyboard.press(action.key)
+  }
+}
+
+module.exports = {
+  run,
+  handlers
+}
@@ -6,7 +6,7 @@
 const fs = require('fs')
 const beautifyHtml = require('js-beautify').html
 const { writeFile } = require('./utils/fs')
-const { urlToFilePath } = require('./utils/default_storage')
+const { urlToFilePath, contextToDir } = require('./utils/default_storage')
 
 /**
  * Saves page HTML into local cache file.
@@ -14,7 +14,7 @@ const { urlToFilePath } = require('./utils/default_storage')
  * @emits store.page.markup
  */
 const savePageMarkup = async (pageWorker, main) => {
-  const url = pageWorker.page.url()
+  const url = main.normalizeUrl(pageWorker.page.url())
   let content = await pageWorker.getContent()
 
   if (main.getSetting('beautifyHtml')) {
@@ -31,7 +31,7 @@ const savePageMarkup = async (pageWorker, main) => {
   }
 
   // Fallback to default storage if no provider was found.
-  const filePath = urlToFilePath('data/cache', url, '.html')
+  const filePath = urlToFilePath(contextToDir('data/cache', pageWorker.context), url, '.html')
   if (main.getSetting('cacheSkipExisiting') && fs.existsSync(filePath)) {
     return
   }
@@ -45,7 +45,7 @@ const savePageMarkup = async (pageWorker, main) => {
  * @emits store.page.screenshot
  */
 const screenshot = async (pageWorker, main) => {
-  const url = pageWorker.page.url()
+  const url = main.normalizeUrl(pageWorker.page.url())
 
   // Make storage pluggable.
   const hadListeners = main.emit('store.page.screenshot', url, pageWorker)
@@ -54,11 +54,13 @@ const screenshot = async (pageWorker, main) => {
   }
 
   // Fallback to default storage if no provider was found.
+  // The viewport depends on the device profile.
+  const viewport = pageWorker.page.viewport()
   let suffix = '.screenshot-'
-  suffix += main.getSetting('pageW') + 'x' + main.getSetting('pageH')
+  suffix += viewport.width + 'x' + viewport.height
   suffix += '.png'
 
-  const filePath = urlToFilePath('data/cache', url, suffix)
+  const filePath = urlToFilePath(contextToDir('data/cache', pageWorker.context), url, suffix)
   if (main.getSetting('cacheSkipExisiting') && fs.existsSync(filePath)) {
     return
   }
@@ -0,0 +1,576 @@
+/**
+ * @file
+ * Contains the command-line interface implementation.
+ * @see bin/simple-scraps.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const Main = require('./Main')
+const defaultConfig = require('./utils/default_config')
+const { load } = require('./config')
+const debug = require('./debug')
+
+const usage = `Usage : simple-scraps <command> [options]
+
+Commands :
+  run <config file>           Runs the crawling session defined in given file.
+  resume <config file>        Resumes the interrupted session of given file.
+  list                        Lists the sessions found in data/sessions.
+  validate <config file>      Checks given config file (without running it).
+  plan <config file>          Dry run : lists the URLs each "follow" block
+                              would queue, and counts the elements matched by
+                              extraction configs in a sample of pages
+                              (--sample <n> pages by destination, default 3).
+  extract <url> --config <f>  Extracts given URL using the first entry point
+                              of given config file that has an "extract" key,
+                              or the extraction configs of given destination
+                              (--to <destination>, e.g. --to content/blog),
+                              and prints the result.
+  debug <url> --config <f>    Idem, but saves an annotated screenshot of the
+                              elements matched by each component and field,
+                              and prints the trace of the extraction process.
+
+Config files may be JSON, YAML (.yml, .yaml) or JS modules (.js).
+
+Options :
+  --<setting> <value>  Overrides a setting (e.g. --maxParallelPages 2). Values
+                       are parsed as JSON when possible (e.g. --crawlDelay false).
+  --json               Prints results as JSON (1 object per line) on stdout.
+  --verbose            Prints debug messages on stderr.
+  --help               Prints this message.
+
+Exit codes :
+  0    Success.
+  1    The session could not be completed (error).
+  2    Invalid command, options or config (see the 'validate' command).
+  3    The session was completed, but some URLs could not be processed.
+  130  Interrupted (the session can be resumed).
+`
+
+const exitCodes = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  failures: 3,
+  interrupted: 130
+}
+
+// Options of the CLI itself (all others are settings).
+const flags = ['json', 'verbose', 'help']
+const options = ['config', 'sample', 'to']
+
+/**
+ * Errors caused by invalid commands, options or config (exit code 2).
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses command line arguments.
+ *
+ * @example
+ *  // Expected output :
+ *  // { command: 'run', args: ['blog.json'], options: { json: true }, settings: { crawlDelay: false } }
+ *  console.log(parseArgs(['run', 'blog.json', '--json', '--crawlDelay', 'false']))
+ *
+ * @param {array} argv arguments (without the node executable and script).
+ * @return {object} With the keys 'command', 'args', 'options' and 'settings'.
+ */
+const parseArgs = (argv) => {
+  const parsed = { command: null, args: [], options: {}, settings: {} }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      if (!parsed.command) {
+        parsed.command = arg
+      } else {
+        parsed.args.push(arg)
+      }
+      continue
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s)
+    if (flags.includes(name)) {
+      parsed.options[name] = true
+      continue
+    }
+    if (value === undefined) {
+      value = (i + 1 < argv.length && !argv[i + 1].startsWith('--')) ? argv[++i] : 'true'
+    }
+    if (options.includes(name)) {
+      parsed.options[name] = value
+      continue
+    }
+    if (defaultConfig.setting(name) === undefined) {
+      throw new UsageError(`Unknown option or setting '--${name}'`)
+    }
+    parsed.settings[name] = parseValue(value)
+  }
+
+  return parsed
+}
+
+/**
+ * Converts setting values given as command line arguments (JSON when
+ * possible, strings otherwise).
+ */
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    return value
+  }
+}
+
+/**
+ * Reads a session config file (JSON, YAML or JS module).
+ * @see src/config.js
+ *
+ * @param {string} file path (relative to the current working directory).
+ * @return {object} The config object.
+ */
+const loadConfig = (file) => {
+  if (!file) {
+    throw new UsageError('Missing config file')
+  }
+  const filePath = path.resolve(file)
+  if (!fs.existsSync(filePath)) {
+    throw new UsageError(`Config file not found : ${file}`)
+  }
+  try {
+    return load(filePath)
+  } catch (error) {
+    throw new UsageError(`Invalid config file ${file} : ${error.message}`)
+  }
+}
+
+/**
+ * Lists the sessions found in given directory : config files (and the state
+ * of their last run), and session states without config file.
+ *
+ * @param {string} dir (optional) defaults to 'data/sessions'.
+ * @return {array} Objects having the keys 'name', 'config' (the config file
+ *  path, or null), 'status' ('new', 'interrupted' or 'finished'), 'queued'
+ *  (number of URLs left to process), 'failed' (number of failed URLs) and
+ *  'updatedAt'.
+ */
+const listSessions = (dir) => {
+  dir = dir || 'data/sessions'
+  if (!fs.existsSync(dir)) {
+    return []
+  }
+  const files = fs.readdirSync(dir).sort()
+  const sessions = {}
+
+  files.filter(file => /\.(json|ya?ml|js)$/.test(file) && !/\.(failed|auth)\.json$/.test(file))
+    .forEach(file => {
+      let name = null
+      try {
+        const config = load(path.join(dir, file))
+        name = new Main(config).getSessionName()
+      } catch (e) {
+        // Not a session config.
+        return
+      }
+      sessions[name] = { name, config: path.join(dir, file), status: 'new', queued: 0, failed: 0, updatedAt: null }
+    })
+
+  files.filter(file => file.endsWith('.state')).forEach(file => {
+    let state = null
+    try {
+      state = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+    } catch (e) {
+      return
+    }
+    const name = state.name || file.slice(0, -'.state'.length)
+    sessions[name] = {
+      name,
+      config: name in sessions ? sessions[name].config : null,
+      status: state.finished ? 'finished' : 'interrupted',
+      queued: Object.keys(state.queue || {}).length,
+      failed: Object.keys(state.failures || {}).length,
+      updatedAt: state.updatedAt || null
+    }
+  })
+
+  return Object.values(sessions)
+}
+
+/**
+ * Reports the session progress : a single line on stderr (refreshed as pages
+ * get processed) when it's a terminal, or 1 JSON object per line on stdout in
+ * JSON mode.
+ *
+ * The listeners must be added before the session starts (see Cluster).
+ *
+ * @param {Main} scraps instance.
+ * @param {object} io with the 'stdout' and 'stderr' streams.
+ * @param {object} options parsed from command line arguments.
+ * @return {object} Counters of extracted entities and failed URLs.
+ */
+const trackProgress = (scraps, io, options) => {
+  const progress = { extracted: 0, failed: 0 }
+  const interactive = !options.json && io.stderr.isTTY
+
+  const print = (event, data) => {
+    if (options.json) {
+      io.stdout.write(JSON.stringify({ event, ...data }) + '\n')
+    }
+    if (interactive) {
+      const stats = scraps.getStats()
+      const skipped = Object.values(stats.skipped).reduce((sum, count) => sum + count, 0)
+      io.stderr.write(`\r${scraps.getSessionName()} : ${progress.extracted} extracted, ${progress.failed} failed, ${skipped} skipped, ${stats.queued} queued`)
+    }
+  }
+
+  scraps.on('alter.extraction.result', (entity, extractor) => {
+    progress.extracted++
+    print('extracted', {
+      url: scraps.normalizeUrl(extractor.pageWorker.page.url()),
+      entityType: extractor.entityType,
+      bundle: extractor.bundle
+    })
+  })
+  scraps.on('navigation.failed', (url, failure) => {
+    progress.failed++
+    print('failed', { url, status: failure.status, error: failure.error })
+  })
+  scraps.on('page.crashed', (error, url) => {
+    print('crashed', { url, error: error.message })
+  })
+  // Only printed with the '--verbose' option (see main()).
+  scraps.on('page.error', (error, url) => {
+    console.log(`--- The browser page crashed : ${error.message} (in : ${url}) ---`)
+  })
+
+  return progress
+}
+
+/**
+ * Prints the outcome of a session, and returns the exit code.
+ */
+const finish = (scraps, io, options, progress) => {
+  const code = progress.failed ? exitCodes.failures : exitCodes.success
+  if (options.json) {
+    io.stdout.write(JSON.stringify({
+      event: 'done',
+      session: scraps.getSessionName(),
+      extracted: progress.extracted,
+      failed: progress.failed,
+      stats: scraps.getStats(),
+      exitCode: code
+    }) + '\n')
+    return code
+  }
+  if (io.stderr.isTTY) {
+    io.stderr.write('\n')
+  }
+  io.stderr.write(`Session '${scraps.getSessionName()}' completed : ${progress.extracted} entities extracted, ${progress.failed} URLs failed.\n`)
+  if (progress.failed) {
+    io.stderr.write(`Failed URLs are listed in ${scraps.getFailuresFilePath()}\n`)
+  }
+  return code
+}
+
+/**
+ * Creates the session instance of the 'run' and 'resume' commands.
+ */
+const createSession = (parsed) => {
+  const config = loadConfig(parsed.args[0])
+  const scraps = new Main(config)
+  scraps.setSettings(parsed.settings)
+  return scraps
+}
+
+// Session of the 'run' or 'resume' command being processed (see interrupt()).
+let running = null
+
+/**
+ * Saves the state of the session being run, if any, so that the 'resume'
+ * command continues exactly where it was interrupted (state writes are
+ * otherwise batched, see the 'journalSaveInterval' setting).
+ * @see bin/simple-scraps.js
+ */
+const interrupt = () => {
+  if (running) {
+    running.journal.save()
+  }
+}
+
+const commands = {}
+
+commands.run = async (parsed, io) => {
+  const scraps = createSession(parsed)
+  const progress = trackProgress(scraps, io, parsed.options)
+  running = scraps
+  try {
+    await scraps.run()
+  } finally {
+    running = null
+  }
+  return finish(scraps, io, parsed.options, progress)
+}
+
+commands.resume = async (parsed, io) => {
+  const scraps = createSession(parsed)
+  if (!scraps.journal.exists()) {
+    throw new UsageError(`Cannot resume session '${scraps.getSessionName()}' : no saved state was found in ${scraps.journal.getFilePath()}`)
+  }
+  const progress = trackProgress(scraps, io, parsed.options)
+  running = scraps
+  try {
+    await scraps.resume()
+  } finally {
+    running = null
+  }
+  return finish(scraps, io, parsed.options, progress)
+}
+
+commands.validate = async (parsed, io) => {
+  const scraps = createSession(parsed)
+  scraps.validateConfig()
+  if (parsed.options.json) {
+    io.stdout.write(JSON.stringify([]) + '\n')
+  } else {
+    io.stderr.write(`${parsed.args[0]} is valid.\n`)
+  }
+  return exitCodes.success
+}
+
+/**
+ * Dry run (nothing is written to disk).
+ * @see Main.dryRun()
+ */
+commands.plan = async (parsed, io) => {
+  const sampleSize = parsed.options.sample === undefined ? undefined : Number(parsed.options.sample)
+  if (sampleSize !== undefined && !(sampleSize > 0)) {
+    throw new UsageError(`Invalid sample size '${parsed.options.sample}' (must be a positive number)`)
+  }
+  const scraps = createSession(parsed)
+  const plan = await scraps.dryRun(sampleSize)
+  if (parsed.options.json) {
+    io.stdout.write(JSON.stringify(plan) + '\n')
+    return exitCodes.success
+  }
+
+  plan.blocks.forEach(block => {
+    const limit = block.maxPagesToCrawl ? ` (maxPagesToCrawl ${block.maxPagesToCrawl})` : ''
+    io.stdout.write(`${block.entryPoint} :: ${block.selector || block.pattern || '*'} -> ${block.to}${limit}\n`)
+    io.stdout.write(`  ${block.queued.length} URLs queued, ${block.cut.length} cut off\n`)
+    Object.keys(block.skipped).forEach(reason => {
+      io.stdout.write(`  ${block.skipped[reason].length} URLs skipped (${reason})\n`)
+    })
+  })
+  const printMatches = (results, indent) => results.forEach(result => {
+    const count = 'error' in result ? `error : ${result.error}` : `${result.count} matches`
+    io.stdout.write(`${indent}${result.as || result.selector || result.select} : ${count}\n`)
+    printMatches(result.extract || [], indent + '  ')
+  })
+  Object.keys(plan.samples).forEach(to => {
+    plan.samples[to].forEach(sample => {
+      io.stdout.write(`${to} sample : ${sample.url}\n`)
+      printMatches([...sample.extract, ...sample.nested], '  ')
+    })
+  })
+  plan.failures.forEach(failure => {
+    io.stderr.write(`Could not open ${failure.url} : ${failure.error}\n`)
+  })
+  return exitCodes.success
+}
+
+commands.list = async (parsed, io) => {
+  const sessions = listSessions()
+  if (parsed.options.json) {
+    io.stdout.write(JSON.stringify(sessions) + '\n')
+    return exitCodes.success
+  }
+  if (!sessions.length) {
+    io.stderr.write('No sessions were found in data/sessions\n')
+    return exitCodes.success
+  }
+  sessions.forEach(session => {
+    const details = session.status === 'new'
+      ? ''
+      : ` (${session.queued} URLs queued, ${session.failed} failed, updated ${session.updatedAt})`
+    io.stdout.write(`${session.name}\t${session.status}${details}\t${session.config || '-'}\n`)
+  })
+  return exitCodes.success
+}
+
+/**
+ * Creates the session instance of the 'extract' and 'debug' commands : it only
+ * extracts given URL using the extraction config of the first entry point of
+ * given config file, or the extraction configs of the destination given by the
+ * '--to' option (links are not followed).
+ *
+ * Failures are only reported (on stderr).
+ */
+const createSingleUrlSession = (parsed, io) => {
+  const url = parsed.args[0]
+  if (!url) {
+    throw new UsageError('Missing URL to extract')
+  }
+  const config = loadConfig(parsed.options.config)
+  const to = parsed.options.to
+  let start = null
+
+  if (to) {
+    // Same lookup as Extractor.mapConfig() (e.g. 'content/*' matches any
+    // 'content' bundle).
+    const [entityType, bundle] = to.split('/')
+    let extract = []
+    Object.keys(config).filter(key => key !== 'start' && key !== 'actions')
+      .map(key => key.split('/'))
+      .filter(keyParts => keyParts[0] === entityType && (keyParts[1] === bundle || keyParts[1] === '*'))
+      .forEach(keyParts => {
+        extract = extract.concat(config[keyParts.join('/')])
+      })
+    if (!bundle || !extract.length) {
+      throw new UsageError(`No extraction config matching the destination '${to}' was found in ${parsed.options.config}`)
+    }
+    // Other entry point options (e.g. engine, context) still apply.
+    start = { ...(config.start || [])[0], url, is: to, extract }
+  } else {
+    const entryPoint = (config.start || []).find(entryPoint => entryPoint.extract)
+    if (!entryPoint) {
+      throw new UsageError(`No entry point having an 'extract' key was found in ${parsed.options.config} : use the '--to' option to extract given URL using the extraction configs of a destination (e.g. --to content/blog)`)
+    }
+    start = { ...entryPoint, url }
+  }
+
+  delete start.follow
+  delete start.sitemap
+  const scraps = new Main({ ...config, start: [start] })
+  scraps.setSettings({ journal: false, ...parsed.settings })
+
+  scraps.on('navigation.failed', (pageUrl, failure) => {
+    io.stderr.write(`Could not open ${pageUrl} : ${failure.error}\n`)
+  })
+  scraps.on('store.session.failures', () => {})
+  return scraps
+}
+
+/**
+ * Extracts a single URL, and prints the result (nothing is written to disk).
+ */
+commands.extract = async (parsed, io) => {
+  const scraps = createSingleUrlSession(parsed, io)
+
+  let extracted = 0
+  scraps.on('store.extraction.result', (entity, entityType, bundle, pageUrl) => {
+    extracted++
+    io.stdout.write(parsed.options.json
+      ? JSON.stringify({ url: pageUrl, entityType, bundle, entity }) + '\n'
+      : JSON.stringify(entity, null, 2) + '\n')
+  })
+
+  await scraps.run()
+  return extracted ? exitCodes.success : exitCodes.failures
+}
+
+/**
+ * Extracts a single URL in visual debug mode, and prints the trace of the
+ * composite tree (only the debug files are written to disk).
+ * @see src/debug.js
+ */
+commands.debug = async (parsed, io) => {
+  parsed.settings.debugExtraction = true
+  const scraps = createSingleUrlSession(parsed, io)
+
+  let files = []
+  scraps.on('store.extraction.result', () => {})
+  scraps.on('alter.extraction.result', (entity, extractor) => {
+    const url = scraps.normalizeUrl(extractor.pageWorker.page.url())
+    const context = extractor.pageWorker.context
+    const screenshot = extractor.pageWorker.engine === 'static' ? '.debug.html' : '.debug.png'
+    files = ['.debug.json', screenshot].map(suffix => debug.getFilePath(url, context, suffix))
+  })
+
+  await scraps.run()
+  if (!files.length) {
+    return exitCodes.failures
+  }
+  const trace = JSON.parse(fs.readFileSync(files[0], 'utf8'))
+
+  if (parsed.options.json) {
+    io.stdout.write(JSON.stringify(trace) + '\n')
+  } else {
+    const print = (item, indent) => {
+      const name = item.type === 'Step' ? `${item.as} (${item.extract})` : `${item.name} (${item.type})`
+      const notes = [
+        item.fallback ? 'fallback' : '',
+        item.replaced ? 'replaced by 1 component per match' : '',
+        item.error ? `error : ${item.error}` : ''
+      ].filter(Boolean)
+      io.stdout.write(`${indent}lv.${item.depth} ${name} : ${item.count} matches${notes.length ? ` (${notes.join(', ')})` : ''}\n`)
+      io.stdout.write(`${indent}  ${item.selector}\n`)
+      const children = [...(item.steps || []), ...(item.children || [])]
+      children.forEach(child => print(child, indent + '  '))
+    }
+    print(trace, '')
+  }
+  io.stderr.write(`Debug files : ${files.join(', ')}\n`)
+  return exitCodes.success
+}
+
+/**
+ * Runs the command given as command line arguments.
+ *
+ * Debug messages (console.log()) are printed on stderr with the '--verbose'
+ * option, so that stdout only contains results.
+ *
+ * @param {array} argv arguments (without the node executable and script).
+ * @param {object} io (optional) with the 'stdout' and 'stderr' streams.
+ *  Defaults to the process ones.
+ * @return {number} The exit code.
+ */
+const main = async (argv, io) => {
+  io = io || { stdout: process.stdout, stderr: process.stderr }
+  let parsed = null
+  const log = console.log
+  console.log = (...args) => {
+    if (parsed && parsed.options.verbose) {
+      io.stderr.write(util.format(...args) + '\n')
+    }
+  }
+
+  try {
+    parsed = parseArgs(argv)
+    if (parsed.options.help) {
+      io.stdout.write(usage)
+      return exitCodes.success
+    }
+    if (!(parsed.command in commands)) {
+      throw new UsageError(parsed.command ? `Unknown command '${parsed.command}'` : 'Missing command')
+    }
+    return await commands[parsed.command](parsed, io)
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`${error.message}\n\n${usage}`)
+      return exitCodes.usage
+    }
+    // Config problems (see Main.validateConfig()).
+    if (error.problems) {
+      if (parsed && parsed.options.json) {
+        io.stdout.write(JSON.stringify(error.problems) + '\n')
+      }
+      io.stderr.write(`${error.message}\n`)
+      return exitCodes.usage
+    }
+    io.stderr.write(`Error : ${error.message}\n`)
+    return exitCodes.error
+  } finally {
+    console.log = log
+  }
+}
+
+module.exports = {
+  main,
+  interrupt,
+  parseArgs,
+  listSessions,
+  exitCodes,
+  UsageError
+}
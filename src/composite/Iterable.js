@@ -155,7 +155,11 @@ class Iterable {
   async scopeSelector (selector) {
     // Convert javascript eval string into CSS selector by adding custom classes
     // on matched elements.
+    // Configs loaded from JS modules may use a function instead (it runs in
+    // the page, so it can't use variables from its module scope).
     if (this.getConf('select')) {
+      const select = this.getConf('select')
+      const strToEval = typeof select === 'function' ? `(${select.toString()})()` : select
       const componentName = (this.constructor.name === 'Step')
         ? this.getComponent().getName()
         : this.getName()
@@ -169,7 +173,7 @@ class Iterable {
           const items = eval(strToEval)
           items.map(e => e.classList.add(markerClass))
         },
-        this.getConf('select'),
+        strToEval,
         markerClass
       )
 
@@ -180,6 +184,7 @@ class Iterable {
       // console.log('markup :')
       // console.log(markup)
 
+      this.markerClass = markerClass
       this.setSelector(`.${markerClass}`)
     }
 
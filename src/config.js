@@ -0,0 +1,241 @@
+/**
+ * @file
+ * Contains session config files loading (JSON, YAML or JS modules) and
+ * reusable config fragments resolution ('$ref' and 'extends').
+ *
+ * @example
+ *   # data/sessions/www.example.com.blog.yml
+ *   extends: ../configs/drupal-site.yml
+ *   start:
+ *     - url: https://www.example.com/blog
+ *       follow:
+ *         - selector: .view-articles h2 > a
+ *           to: content/blog
+ *   components:
+ *     - $ref: ../configs/bootstrap-components.json
+ *     # Overrides the 'Card' title selector of the extended config.
+ *     - as: component.Card.title
+ *       selector: "> .card-body > h3"
+ */
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+
+/**
+ * Loads a config file, and resolves its fragments.
+ *
+ * JS modules may export the config object, or a function returning it. Unlike
+ * JSON and YAML files, they can use functions for the 'select' and 'element'
+ * keys of extraction configs.
+ *
+ * @param {string} file path of the config file (.json, .yml, .yaml or .js).
+ * @return {object} The resolved config.
+ */
+const load = (file) => {
+  return resolveFile(path.resolve(file), [])
+}
+
+/**
+ * Resolves the '$ref' and 'extends' keys of given config.
+ *
+ * @param {object} config to resolve.
+ * @param {string} dir (optional) the directory referenced file paths are
+ *  relative to. Defaults to the current working directory.
+ * @return {object} The resolved config.
+ */
+const resolve = (config, dir) => {
+  return resolveConfig(config, path.resolve(dir || '.'), [])
+}
+
+/**
+ * Reads a config file (without resolving it).
+ */
+const read = (file) => {
+  if (!fs.existsSync(file)) {
+    throw Error(`Config file not found : ${file}`)
+  }
+  switch (path.extname(file)) {
+    case '.js': {
+      const exported = require(file)
+      return typeof exported === 'function' ? exported() : exported
+    }
+    case '.yml':
+    case '.yaml':
+      return yaml.safeLoad(fs.readFileSync(file, 'utf8'), { filename: file })
+    case '.json':
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+  }
+  throw Error(`Unsupported config file format : ${file} (must be .json, .yml, .yaml or .js)`)
+}
+
+/**
+ * @param {string} file absolute path of the file to resolve.
+ * @param {array} stack the files being resolved (prevents circular
+ *  references).
+ */
+const resolveFile = (file, stack) => {
+  if (stack.includes(file)) {
+    throw Error(`Circular config reference : ${[...stack, file].join(' -> ')}`)
+  }
+  let content = null
+  try {
+    content = read(file)
+  } catch (error) {
+    const referrer = stack.length ? ` (referenced in ${stack[stack.length - 1]})` : ''
+    throw Error(`${error.message}${referrer}`)
+  }
+  return resolveConfig(content, path.dirname(file), [...stack, file])
+}
+
+/**
+ * Resolves the 'extends' key, then the '$ref' keys.
+ */
+const resolveConfig = (config, dir, stack) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config) || !('extends' in config)) {
+    return resolveRefs(config, dir, stack)
+  }
+
+  const { extends: bases, ...rest } = config
+  const resolved = resolveRefs(rest, dir, stack)
+  return [].concat(bases)
+    .map(base => resolveFile(path.resolve(dir, base), stack))
+    .reduceRight((merged, base) => extend(base, merged), resolved)
+}
+
+/**
+ * Replaces '$ref' objects by the content they reference.
+ *
+ * References are file paths relative to the file containing them, optionally
+ * followed by a JSON pointer (e.g. 'components.json#/components'). Other keys
+ * of the '$ref' object override the keys of the referenced object. In arrays,
+ * referenced arrays are inserted in place (e.g. to import a components
+ * library, then add more components).
+ */
+const resolveRefs = (value, dir, stack) => {
+  if (Array.isArray(value)) {
+    const items = []
+    value.forEach(item => {
+      const resolved = resolveRefs(item, dir, stack)
+      if (isRef(item) && Array.isArray(resolved)) {
+        items.push(...resolved)
+      } else {
+        items.push(resolved)
+      }
+    })
+    return items
+  }
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (isRef(value)) {
+    const { $ref, ...overrides } = value
+    const [file, pointer] = $ref.split('#')
+    const target = getPointer(resolveFile(path.resolve(dir, file), stack), pointer, $ref)
+    if (!Object.keys(overrides).length) {
+      return target
+    }
+    return { ...target, ...resolveRefs(overrides, dir, stack) }
+  }
+
+  const resolved = {}
+  Object.keys(value).forEach(key => {
+    resolved[key] = resolveRefs(value[key], dir, stack)
+  })
+  return resolved
+}
+
+const isRef = (value) => {
+  return Boolean(value) && typeof value === 'object' && typeof value.$ref === 'string'
+}
+
+/**
+ * Returns the value at given JSON pointer (e.g. '/components/0').
+ */
+const getPointer = (content, pointer, ref) => {
+  if (!pointer || pointer === '/') {
+    return content
+  }
+  return pointer.split('/').slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((target, part) => {
+      if (!target || typeof target !== 'object' || !(part in target)) {
+        throw Error(`Cannot resolve $ref '${ref}' : '${part}' was not found`)
+      }
+      return target[part]
+    }, content)
+}
+
+/**
+ * Merges a config into the config it extends.
+ *
+ * Settings and actions are merged by key. Entry points are replaced. In
+ * extraction config lists (e.g. 'components', 'content/blog'), configs having
+ * the same 'as' key as a base config (at any nesting level) override its keys
+ * (null values remove them), the others are added.
+ *
+ * @param {object} base the extended config.
+ * @param {object} config the extending config.
+ * @return {object} The merged config.
+ */
+const extend = (base, config) => {
+  const merged = { ...base }
+  Object.keys(config).forEach(key => {
+    if ((key === 'settings' || key === 'actions') && base[key]) {
+      merged[key] = { ...base[key], ...config[key] }
+    } else if (key !== 'start' && Array.isArray(base[key]) && Array.isArray(config[key])) {
+      merged[key] = config[key].reduce((configs, override) => overrideByAs(configs, override), base[key])
+    } else {
+      merged[key] = config[key]
+    }
+  })
+  return merged
+}
+
+/**
+ * Overrides the extraction config having the same 'as' key in given list (or
+ * in their nested 'extract' lists), or adds it to the list.
+ *
+ * @return {array} A new list.
+ */
+const overrideByAs = (configs, override) => {
+  const replaced = replaceByAs(configs, override)
+  return replaced || [...configs, override]
+}
+
+/**
+ * @return {array} A new list, or null if no config has the same 'as' key.
+ */
+const replaceByAs = (configs, override) => {
+  for (let i = 0; i < configs.length; i++) {
+    const config = configs[i]
+    if (!config || typeof config !== 'object') {
+      continue
+    }
+    if (override.as && config.as === override.as) {
+      return [...configs.slice(0, i), merge(config, override), ...configs.slice(i + 1)]
+    }
+    if (Array.isArray(config.extract)) {
+      const extract = replaceByAs(config.extract, override)
+      if (extract) {
+        return [...configs.slice(0, i), { ...config, extract }, ...configs.slice(i + 1)]
+      }
+    }
+  }
+  return null
+}
+
+const merge = (config, override) => {
+  const merged = { ...config, ...override }
+  Object.keys(merged).forEach(key => {
+    if (merged[key] === null) {
+      delete merged[key]
+    }
+  })
+  return merged
+}
+
+module.exports = {
+  load,
+  resolve
+}
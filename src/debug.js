@@ -0,0 +1,294 @@
+/**
+ * @file
+ * Contains the visual extraction debug mode implementation ('debugExtraction'
+ * setting).
+ *
+ * Once a page is extracted, every component and step element matched in the
+ * page is outlined and labelled (component name, field, depth and the marker
+ * classes added during the extraction), then an annotated full-page
+ * screenshot and a JSON trace of the composite tree are saved.
+ */
+
+const path = require('path')
+const mkdirp = require('mkdirp')
+const beautifyHtml = require('js-beautify').html
+const dom = require('./utils/dom')
+const { writeFile } = require('./utils/fs')
+const { urlToFilePath, contextToDir } = require('./utils/default_storage')
+
+// Outline colors by composite item type (fallback steps are red).
+const colors = {
+  Container: '#0074d9',
+  Leaf: '#2ecc40',
+  Step: '#ff851b',
+  fallback: '#ff4136'
+}
+
+/**
+ * Returns the path of the file where the debug mode saves given page trace
+ * (suffix '.debug.json'), screenshot ('.debug.png') or markup ('.debug.html').
+ *
+ * @example
+ *  // Expected output : 'data/debug/www.chouette.net.br/blog/my-post.debug.json'
+ *  console.log(getFilePath('https://www.chouette.net.br/blog/my-post', null, '.debug.json'))
+ *
+ * @param {string} url of the extracted page.
+ * @param {string} context (optional) name of the browser context.
+ * @param {string} suffix file extension.
+ * @return {string} The file path.
+ */
+const getFilePath = (url, context, suffix) => {
+  return urlToFilePath(contextToDir('data/debug', context), url, suffix)
+}
+
+/**
+ * Returns the trace of the composite tree built by given extractor.
+ *
+ * Each item of the tree has the keys 'type' (Container, Leaf or Step), 'name'
+ * (component name, or field for steps), 'as', 'extract', 'depth', 'selector'
+ * (scoped), 'select' (if any), 'markers' (classes added by scopeSelector() or
+ * differenciate()), 'count' (number of elements matched in the page) and
+ * 'fallback' (true for fallback steps). Steps also have the 'processed' key.
+ * Components also have the 'replaced' key (true when multiple matches were
+ * replaced by 1 component per element, see Extractor.preprocess()), their
+ * child components in 'children' and their steps in 'steps'.
+ *
+ * @example
+ *  // Expected output (e.g.) :
+ *  // {
+ *  //   type: 'Container',
+ *  //   name: 'rootComponent',
+ *  //   ...
+ *  //   children: [
+ *  //     {
+ *  //       type: 'Leaf',
+ *  //       name: 'Card',
+ *  //       as: 'component.Card',
+ *  //       extract: ['component.Card.title', 'component.Card.text'],
+ *  //       depth: 1,
+ *  //       selector: 'body > main .lv1-Card-0-k9VjrNjJM4',
+ *  //       markers: ['lv1-Card-0-k9VjrNjJM4'],
+ *  //       count: 1,
+ *  //       fallback: false,
+ *  //       replaced: false,
+ *  //       children: [],
+ *  //       steps: [
+ *  //         { type: 'Step', name: 'title', as: 'component.Card.title', ... }
+ *  //       ]
+ *  //     }
+ *  //   ],
+ *  //   steps: [...]
+ *  // }
+ *  console.log(await getTrace(extractor))
+ *
+ * @param {Extractor} extractor instance (after its run() method was called).
+ * @return {object} The trace of the root component.
+ */
+const getTrace = async (extractor) => {
+  const trace = async (item) => {
+    const selector = item.getSelector()
+    const traced = {
+      type: item.constructor.name,
+      name: item.constructor.name === 'Step' ? item.getField() : item.getName(),
+      as: item.as,
+      extract: Array.isArray(item.extract) ? item.extract.map(config => config.as) : item.extract,
+      depth: item.getDepth(),
+      selector
+    }
+    if (item.getConf('select')) {
+      traced.select = String(item.getConf('select'))
+    }
+    traced.markers = [item.markerClass, item.differenciatedClass].filter(Boolean)
+    try {
+      traced.count = selector ? await dom.getCount(extractor.pageWorker.page, selector) : 0
+    } catch (error) {
+      traced.count = 0
+      traced.error = error.message
+    }
+    traced.fallback = Boolean(item.isFallback)
+
+    if (item.constructor.name === 'Step') {
+      traced.processed = item.isProcessed()
+      return traced
+    }
+
+    traced.replaced = Boolean(item.differenciatedClasses)
+    if (traced.replaced) {
+      traced.markers = traced.markers.concat(item.differenciatedClasses)
+    }
+    traced.children = []
+    traced.steps = []
+    for (const child of extractor.iterables) {
+      if (child.constructor.name === 'Step' && child.getComponent() === item) {
+        traced.steps.push(await trace(child))
+      } else if (child.constructor.name !== 'Step' && child.getParentComponent() === item) {
+        traced.children.push(await trace(child))
+      }
+    }
+    return traced
+  }
+
+  return await trace(extractor.rootComponent)
+}
+
+/**
+ * Outlines and labels the elements matched by the traced items in the page.
+ *
+ * Labels are absolutely positioned over the page (when it is rendered), and
+ * also set in the 'data-simple-scraps-debug' attribute of matched elements.
+ * The previous 'style' attribute of matched elements is kept in the
+ * 'data-simple-scraps-debug-style' attribute (see clean()).
+ *
+ * @param {Page} pageWorker the extracted page.
+ * @param {object} trace the composite tree trace (see getTrace()).
+ */
+const annotate = async (pageWorker, trace) => {
+  const annotations = []
+  const collect = (item) => {
+    // Components replaced by 1 component per match are annotated through their
+    // replacements.
+    if (item.replaced) {
+      return
+    }
+    if (item.count) {
+      annotations.push({
+        selector: item.selector,
+        color: item.fallback ? colors.fallback : colors[item.type],
+        label: [
+          `lv.${item.depth}`,
+          item.type === 'Step' ? `${item.as} (${item.extract})` : `${item.name} (${item.type})`,
+          ...item.markers.map(marker => `.${marker}`),
+          item.fallback ? '[fallback]' : ''
+        ].filter(Boolean).join(' ')
+      })
+    }
+    const children = [...(item.children || []), ...(item.steps || [])]
+    children.forEach(collect)
+  }
+  // The root component matches the whole document.
+  trace.children.forEach(collect)
+  trace.steps.forEach(collect)
+
+  /* istanbul ignore next */
+  await dom.evaluate(
+    pageWorker.page,
+    (annotations) => {
+      annotations.forEach(annotation => {
+        document.querySelectorAll(annotation.selector).forEach(element => {
+          const labels = element.getAttribute('data-simple-scraps-debug')
+          if (!labels && element.hasAttribute('style')) {
+            element.setAttribute('data-simple-scraps-debug-style', element.getAttribute('style'))
+          }
+          element.setAttribute('data-simple-scraps-debug', labels ? `${labels} | ${annotation.label}` : annotation.label)
+          element.style.outline = `2px solid ${annotation.color}`
+          element.style.outlineOffset = '-1px'
+
+          const rect = element.getBoundingClientRect()
+          const label = document.createElement('div')
+          label.className = 'simple-scraps-debug-label'
+          label.textContent = annotation.label
+          label.setAttribute('style', [
+            'position: absolute',
+            `top: ${rect.top + window.scrollY}px`,
+            `left: ${rect.left + window.scrollX}px`,
+            'z-index: 2147483647',
+            `background: ${annotation.color}`,
+            'color: #fff',
+            'font: 11px/1.3 monospace',
+            'padding: 1px 3px',
+            'pointer-events: none',
+            'white-space: nowrap'
+          ].join(';'))
+          document.body.appendChild(label)
+        })
+      })
+    },
+    annotations
+  )
+}
+
+/**
+ * Removes the outlines, labels and attributes added by annotate().
+ *
+ * @param {Page} pageWorker the annotated page.
+ */
+const clean = async (pageWorker) => {
+  /* istanbul ignore next */
+  await dom.evaluate(
+    pageWorker.page,
+    () => {
+      document.querySelectorAll('.simple-scraps-debug-label').forEach(label => label.remove())
+      document.querySelectorAll('[data-simple-scraps-debug]').forEach(element => {
+        if (element.hasAttribute('data-simple-scraps-debug-style')) {
+          element.setAttribute('style', element.getAttribute('data-simple-scraps-debug-style'))
+        } else {
+          element.removeAttribute('style')
+        }
+        element.removeAttribute('data-simple-scraps-debug')
+        element.removeAttribute('data-simple-scraps-debug-style')
+      })
+    }
+  )
+}
+
+/**
+ * Saves the trace and the annotated page of given extractor.
+ *
+ * Static pages are not rendered : their annotated markup is saved instead of
+ * a screenshot. Annotations are then removed from the page (once the
+ * 'store.debug.screenshot' listeners are done, if they return a promise).
+ *
+ * @emits store.debug.trace
+ * @emits store.debug.screenshot
+ *
+ * @param {Extractor} extractor instance (after its run() method was called).
+ * @return {object} The trace (see getTrace()).
+ */
+const save = async (extractor) => {
+  const { main, pageWorker } = extractor
+  const url = main.normalizeUrl(pageWorker.page.url())
+  const trace = await getTrace(extractor)
+
+  // Make storage pluggable.
+  if (!main.emit('store.debug.trace', trace, url, pageWorker)) {
+    await writeFile(getFilePath(url, pageWorker.context, '.debug.json'), JSON.stringify(trace, null, 2))
+  }
+
+  await annotate(pageWorker, trace)
+  try {
+    await saveAnnotatedPage(main, url, pageWorker)
+  } finally {
+    await clean(pageWorker)
+  }
+  return trace
+}
+
+/**
+ * Saves the annotated page (screenshot, or markup for static pages).
+ *
+ * @emits store.debug.screenshot
+ */
+const saveAnnotatedPage = async (main, url, pageWorker) => {
+  // Make storage pluggable (listeners may be async).
+  const listeners = main.rawListeners('store.debug.screenshot')
+  if (listeners.length) {
+    await Promise.all(listeners.map(listener => listener.call(main, url, pageWorker)))
+    return
+  }
+  if (pageWorker.engine === 'static') {
+    const content = beautifyHtml(await pageWorker.getContent(), { indent_size: 2, max_preserve_newlines: 1 })
+    await writeFile(getFilePath(url, pageWorker.context, '.debug.html'), content)
+    return
+  }
+  const filePath = getFilePath(url, pageWorker.context, '.debug.png')
+  mkdirp.sync(path.dirname(filePath))
+  await pageWorker.page.screenshot({ path: filePath, fullPage: true })
+}
+
+module.exports = {
+  getFilePath,
+  getTrace,
+  annotate,
+  clean,
+  save
+}
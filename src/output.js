@@ -5,7 +5,7 @@
 
 const fs = require('fs')
 const { writeFile } = require('./utils/fs')
-const { entityToFilePath } = require('./utils/default_storage')
+const { entityToFilePath, contextToDir } = require('./utils/default_storage')
 
 /**
  * Saves extraction result (entity) object.
@@ -17,7 +17,7 @@ const { entityToFilePath } = require('./utils/default_storage')
  * @return {boolean} Success flag.
  */
 const saveExtractionResult = async (entity, extractor) => {
-  const url = extractor.pageWorker.page.url()
+  const url = extractor.main.normalizeUrl(extractor.pageWorker.page.url())
 
   // Make storage pluggable.
   const hadListeners = extractor.main.emit('store.extraction.result', entity, extractor.entityType, extractor.bundle, url, extractor.pageWorker)
@@ -26,7 +26,8 @@ const saveExtractionResult = async (entity, extractor) => {
   }
 
   // Fallback to default storage if no provider was found.
-  const filePath = entityToFilePath('data/output', null, url, extractor.entityType, extractor.bundle)
+  const dir = contextToDir('data/output', extractor.pageWorker.context)
+  const filePath = entityToFilePath(dir, null, url, extractor.entityType, extractor.bundle)
   if (extractor.main.getSetting('outputSkipExisiting') && fs.existsSync(filePath)) {
     return
   }
@@ -34,6 +35,35 @@ const saveExtractionResult = async (entity, extractor) => {
   await writeFile(filePath, JSON.stringify(entity, null, 2))
 }
 
+/**
+ * Saves the list of URLs that could not be opened during the session.
+ *
+ * The default file is only written when there are failures, or when it
+ * already exists (e.g. after retrying failed URLs, it must not list the ones
+ * that succeeded).
+ *
+ * @emits store.session.failures
+ *
+ * @param {array} failures records.
+ * @param {Main} main instance.
+ */
+const saveFailures = async (failures, main) => {
+  // Make storage pluggable.
+  const hadListeners = main.emit('store.session.failures', failures, main.getSessionName())
+  if (hadListeners) {
+    return
+  }
+
+  // Fallback to default storage if no provider was found.
+  const filePath = main.getFailuresFilePath()
+  if (!failures.length && !fs.existsSync(filePath)) {
+    return
+  }
+
+  await writeFile(filePath, JSON.stringify(failures, null, 2))
+}
+
 module.exports = {
-  saveExtractionResult
+  saveExtractionResult,
+  saveFailures
 }
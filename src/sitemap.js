@@ -0,0 +1,127 @@
+/**
+ * @file
+ * Contains sitemap.xml parsing implementations (for 'sitemap' entry points).
+ *
+ * See https://www.sitemaps.org/protocol.html
+ */
+
+const zlib = require('zlib')
+const urlParse = require('url-parse')
+const { get } = require('./utils/http')
+
+/**
+ * Returns all URLs listed in given sitemap.
+ *
+ * Sitemap indexes are followed recursively. Gzipped sitemaps (e.g.
+ * 'sitemap.xml.gz') are decompressed. Nested sitemaps that can't be fetched
+ * are skipped (see Main.skipUrl(), reason 'sitemap'), so that the other ones
+ * still get listed.
+ *
+ * @example
+ *   const entries = await sitemap.getEntries('https://www.example.com/sitemap.xml', main)
+ *   // entries = [
+ *   //   { url: 'https://www.example.com/blog/my-post', lastmod: '2020-08-25' },
+ *   //   ...
+ *   // ]
+ *
+ * @param {string} url of the sitemap (or sitemap index).
+ * @param {Main} main instance.
+ * @param {array} visited (optional) sitemap URLs already fetched (prevents
+ *  infinite loops in nested indexes).
+ * @return {array} Objects having the keys 'url' and 'lastmod' (which is
+ *  undefined when not provided by the sitemap).
+ * @throws {Error} When given sitemap can't be fetched.
+ */
+const getEntries = async (url, main, visited) => {
+  if (!visited) {
+    visited = []
+  }
+  if (visited.includes(url)) {
+    return []
+  }
+  visited.push(url)
+
+  const xml = await fetch(url, main)
+  let entries = []
+
+  // Sitemap indexes list other sitemaps.
+  if (/<sitemapindex[\s>]/.test(xml)) {
+    const sitemaps = parse(xml, 'sitemap')
+    for (let i = 0; i < sitemaps.length; i++) {
+      const sitemapUrl = urlParse(sitemaps[i].url, url).toString()
+      try {
+        entries = entries.concat(await getEntries(sitemapUrl, main, visited))
+      } catch (error) {
+        main.skipUrl(sitemapUrl, 'sitemap')
+      }
+    }
+    return entries
+  }
+
+  return parse(xml, 'url')
+}
+
+/**
+ * Fetches given sitemap XML contents.
+ */
+const fetch = async (url, main) => {
+  const response = await get(url, {
+    headers: { 'user-agent': main.getSetting('userAgent') || 'SimpleScraps' }
+  })
+  if (response.status !== 200) {
+    throw Error(`Could not fetch sitemap ${url} (HTTP status ${response.status})`)
+  }
+
+  // Gzip files start with the magic number 0x1f8b.
+  if (response.body[0] === 0x1f && response.body[1] === 0x8b) {
+    return zlib.gunzipSync(response.body).toString()
+  }
+  return response.body.toString()
+}
+
+/**
+ * Extracts the 'loc' and 'lastmod' of given XML elements.
+ *
+ * @param {string} xml contents of the sitemap.
+ * @param {string} tagName 'url' for sitemaps, 'sitemap' for sitemap indexes.
+ * @return {array} Objects having the keys 'url' and 'lastmod'.
+ */
+const parse = (xml, tagName) => {
+  const entries = []
+  const elements = xml.match(new RegExp(`<${tagName}[\\s>][\\s\\S]*?</${tagName}>`, 'g'))
+  if (!elements) {
+    return entries
+  }
+
+  elements.forEach(element => {
+    const loc = getTagValue(element, 'loc')
+    if (loc) {
+      entries.push({ url: loc, lastmod: getTagValue(element, 'lastmod') })
+    }
+  })
+
+  return entries
+}
+
+/**
+ * Returns the decoded text content of the first matching XML tag.
+ */
+const getTagValue = (xml, tagName) => {
+  const match = xml.match(new RegExp(`<${tagName}>([\\s\\S]*?)</${tagName}>`))
+  if (!match) {
+    return
+  }
+  return match[1]
+    .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+    .trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+module.exports = {
+  getEntries,
+  parse
+}
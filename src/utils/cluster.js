@@ -0,0 +1,65 @@
+/**
+ * @file
+ * Contains helpers for the messages exchanged between the processes of the
+ * cluster mode.
+ * @see src/Cluster.js
+ */
+
+/**
+ * Converts given value to a plain object that can be sent to another process.
+ *
+ * Errors and page workers (which can't be serialized) are replaced by
+ * descriptors.
+ *
+ * @example
+ *  // Expected output : [{ $error: 'Oops' }, { $page: { engine: 'browser', context: null, url: 'https://www.example.com' } }]
+ *  console.log(serialize([Error('Oops'), pageWorker]))
+ */
+const serialize = (value) => {
+  if (value === undefined) {
+    return undefined
+  }
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    if (item instanceof Error) {
+      return { $error: item.message }
+    }
+    if (item && typeof item === 'object' && item.page && item.engine) {
+      return {
+        $page: {
+          engine: item.engine,
+          context: item.context || null,
+          url: item.page.url()
+        }
+      }
+    }
+    return item
+  }))
+}
+
+/**
+ * Converts the descriptors created by serialize() back to errors and page
+ * worker stubs.
+ *
+ * Page worker stubs only have the 'engine' and 'context' properties and the
+ * page.url() method.
+ */
+const revive = (value) => {
+  if (value === undefined) {
+    return undefined
+  }
+  return JSON.parse(JSON.stringify(value), (key, item) => {
+    if (item && typeof item === 'object' && '$error' in item) {
+      return Error(item.$error)
+    }
+    if (item && typeof item === 'object' && '$page' in item) {
+      const { engine, context, url } = item.$page
+      return { engine, context, page: { url: () => url } }
+    }
+    return item
+  })
+}
+
+module.exports = {
+  serialize,
+  revive
+}
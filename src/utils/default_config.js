@@ -4,18 +4,170 @@
  */
 
 /**
- * Returns fallback values by setting.
+ * Returns all default settings values.
  */
-const setting = (key) => {
+const getDefaults = () => {
   const defaults = {}
 
-  // TODO device emulation (i.e. mobile) ?
+  // Default viewport size (of profiles that don't define their own).
   defaults.pageW = 1280
   defaults.pageH = 800
+
+  // Device profiles (emulation). The 'profile' setting defines the default
+  // one, entry points and "follow" blocks may select another. Custom profiles
+  // in the 'profiles' setting are added to (or override) the following ones.
+  // Each profile may have the keys 'device' (name of a Puppeteer device
+  // descriptor), 'userAgent', 'viewport', 'locale', 'acceptLanguage',
+  // 'timezone' and 'geolocation'.
+  // @see Main.getProfile()
+  defaults.profile = 'desktop'
+  defaults.profiles = {
+    desktop: {},
+    mobile: { device: 'Pixel 2' },
+    tablet: { device: 'iPad' }
+  }
   defaults.addDomQueryHelper = false
+
+  // Puppeteer launch options (e.g. 'executablePath', 'headless', 'slowMo',
+  // 'args' for sandbox or proxy flags, 'userDataDir'). When the
+  // 'browserWSEndpoint' setting is provided, we connect to that (already
+  // running) browser instead of launching one.
+  // @see Main.openBrowser()
+  defaults.browser = {}
+  defaults.browserWSEndpoint = ''
+
+  // Browser contexts (isolated cookies, storage, cache and auth state). Entry
+  // points having the same 'context' key share the same incognito context.
+  // When 'isolateEntryPoints' is enabled, entry points without this key get
+  // their own context. The 'contexts' setting may override the 'auth' setting
+  // by context name, e.g. { "account-b": { "auth": { ... } } }.
+  // @see Main.getContexts()
+  defaults.isolateEntryPoints = false
+  defaults.contexts = {}
+
   defaults.maxParallelPages = 4
+
+  // Cluster mode : number of child processes (each running its own browser
+  // and 'maxParallelPages' pages). The main process keeps the queue, limits
+  // and host scheduling. Disabled when 0.
+  // @see src/Cluster.js
+  defaults.clusterWorkers = 0
+
+  // Pages are replaced by new ones after this number of navigations, or when
+  // their JS heap size exceeds this size (in MB). Set to 0 to disable.
+  // @see Page.shouldRecycle()
+  defaults.pageRecycleAfter = 200
+  defaults.pageMaxHeapSize = 512
+  // The JS heap size is only measured every N navigations.
+  defaults.pageHeapCheckInterval = 10
+
+  // Page engine : 'browser' (headless Chromium) or 'static' (plain HTTP GET +
+  // jsdom, for server-rendered sites). Can be overridden by entry points.
+  // @see src/StaticPage.js
+  defaults.engine = 'browser'
+  // Random interval between 2 navigations on the same host (ms) : [min, max]
+  // bounds, a fixed number, or false to disable.
   defaults.crawlDelay = [500, 2500]
 
+  // Per-host politeness policy (crawlDelay bounds apply by host).
+  // @see src/HostScheduler.js
+  defaults.hostMaxConcurrentPages = 2
+  defaults.hostThrottleStatuses = [429, 503]
+  defaults.hostErrorWindow = 10
+  defaults.hostErrorRateThreshold = 0.3
+  defaults.hostBackoffFactor = 2
+  defaults.hostSpeedUpFactor = 0.75
+  defaults.hostMaxBackoff = 60000
+
+  // Default page readiness conditions (can be overridden by entry points,
+  // "follow" and "sitemap" blocks).
+  // @see Main.getReadiness()
+  defaults.waitUntil = 'load'
+  defaults.navigationTimeout = 30000
+  defaults.settleDelay = 0
+
+  // Scripted page actions defaults.
+  // @see src/actions.js
+  defaults.actionTimeout = 10000
+  defaults.actionMaxRepeat = 50
+
+  // Infinite scroll and lazy-loaded content defaults.
+  // @see Page.scrollToEnd()
+  // @see Page.triggerLazyLoad()
+  defaults.scrollMaxRounds = 20
+  defaults.scrollDelay = 1000
+  defaults.lazyLoadMaxSteps = 50
+  defaults.lazyLoadDelay = 250
+
+  // Navigation retry policy. The delay between attempts is multiplied by the
+  // backoff factor after each failed attempt. Errors are retryable when their
+  // name or message contains one of the 'navigationRetryErrors' strings.
+  // URLs still failing after the last attempt are reported in
+  // 'data/sessions/<session-name>.failed.json'.
+  // @see Main.navigate()
+  defaults.navigationMaxAttempts = 3
+  defaults.navigationRetryDelay = 2000
+  defaults.navigationRetryBackoff = 2
+  defaults.navigationRetryStatuses = [408, 429, 500, 502, 503, 504]
+  defaults.navigationRetryErrors = [
+    'TimeoutError',
+    'net::ERR_CONNECTION_',
+    'net::ERR_TIMED_OUT',
+    'net::ERR_EMPTY_RESPONSE',
+    'net::ERR_NETWORK_CHANGED'
+  ]
+
+  // The product token of the user agent (e.g. 'SimpleScraps' for
+  // 'SimpleScraps/1.0 (+https://example.com)') determines which robots.txt
+  // rules apply. When empty, pages use the browser default user agent, and
+  // only the '*' robots.txt rules apply.
+  defaults.userAgent = ''
+  defaults.respectRobots = true
+  defaults.robotsTimeout = 10000
+
+  // Unreachable robots.txt files (5xx status or network error) disallow
+  // everything on their host until they are fetched again, after this delay
+  // (in ms).
+  // @see Robots.getRules()
+  defaults.robotsRetryDelay = 60000
+
+  // Authentication (HTTP basic auth, custom headers, form login).
+  // @see src/Auth.js
+  defaults.auth = null
+
+  // URL normalization (for deduplication and file paths).
+  // @see src/utils/url.js normalize()
+  defaults.urlStripParams = ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga']
+  defaults.urlTrailingSlash = 'remove'
+  defaults.dedupeByCanonical = false
+
+  // Domains that may be crawled : 'same-host' (the hosts of entry points),
+  // 'subdomains' (+ their subdomains), 'any', or an array of hostnames (which
+  // may start with a '*.' wildcard, e.g. '*.example.com').
+  defaults.allowedDomains = 'same-host'
+
+  // Request interception (e.g. to skip images, fonts, analytics scripts and
+  // ads). Example value :
+  //  {
+  //    "resourceTypes": ["image", "media", "font"],
+  //    "patterns": ["https://*.doubleclick.net/**", "**/analytics.js"],
+  //    "allow": ["https://cdn.example.com/**"],
+  //    "destinations": { "content/blog": { "resourceTypes": ["media"] } }
+  //  }
+  // @see Main.getRequestBlocking()
+  defaults.requestBlocking = false
+
+  // Resumable process : the session state is saved to
+  // data/sessions/<sessionName>.state (the name is derived from the first
+  // entry point URL when not set).
+  defaults.journal = true
+  defaults.sessionName = ''
+
+  // Minimum delay (in ms) between 2 writes of the session state. Operations
+  // completed since the last write are processed again on resume.
+  // @see Journal.scheduleSave()
+  defaults.journalSaveInterval = 1000
+
   // TODO instead, leave more options inside each "follow" config. E.g.
   // screenshot format, quality, device emulation / resolution, etc.
   // -> Deprecated.
@@ -27,6 +179,10 @@ const setting = (key) => {
   // support different strategies to deal with previously extracted
   // objects (during reruns).
   defaults.outputSkipExisiting = true
+
+  // Extracted entities get metadata (URL, depth, referrer) in this key, when
+  // set (e.g. '_meta').
+  defaults.entityMetadataKey = null
   defaults.plainTextRemoveBreaks = true
   defaults.plainTextSeparator = ' '
   defaults.minifyExtractedHtml = true
@@ -36,11 +192,31 @@ const setting = (key) => {
   defaults.selectorExistsRetries = 2
   defaults.selectorExistsRetriesMul = 1.75
 
+  // Visual debug mode : once extracted, the elements matched by components and
+  // steps are outlined and labelled in the page, then an annotated full-page
+  // screenshot and a JSON trace of the composite tree are saved in data/debug.
+  // @see src/debug.js
+  defaults.debugExtraction = false
+
+  return defaults
+}
+
+/**
+ * Returns fallback values by setting.
+ */
+const setting = (key) => {
+  const defaults = getDefaults()
   if (key in defaults) {
     return defaults[key]
   }
 }
 
+/**
+ * Returns the names of all settings.
+ */
+const settingNames = () => Object.keys(getDefaults())
+
 module.exports = {
-  setting
+  setting,
+  settingNames
 }
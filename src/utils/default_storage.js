@@ -111,7 +111,46 @@ const entityToFilePath = (dir, domain, url, entityType, bundle, title) => {
   return `${sharedPrefix}/${slugify(entityType)}/${slugify(bundle)}/${pathByUrl}`
 }
 
+/**
+ * Returns the storage directory of given browser context.
+ *
+ * Pages of named contexts (e.g. the same site crawled with 2 different
+ * accounts) are stored separately.
+ *
+ * @example
+ *  // Expected output : 'data/output/account-b'
+ *  console.log(contextToDir('data/output', 'account-b'))
+ *
+ * @param {string} dir Base directory. No trailing slash.
+ * @param {string} context (optional) name of the browser context.
+ * @return {string} The directory (unchanged for the default context).
+ */
+const contextToDir = (dir, context) => {
+  if (!context) {
+    return dir
+  }
+  return `${dir}/${slugify(context)}`
+}
+
+/**
+ * Converts a session name to a file path.
+ *
+ * @example
+ *  // Expected output : 'data/sessions/www-chouette-net-br-blog.state'
+ *  console.log(sessionToFilePath('data/sessions', 'www.chouette.net.br/blog', '.state'))
+ *
+ * @param {string} dir Where to write. No trailing slash.
+ * @param {string} name of the crawling session.
+ * @param {string} suffix File extension (and/or suffix).
+ * @return {string} The generated file path.
+ */
+const sessionToFilePath = (dir, name, suffix) => {
+  return `${dir}/${slugify(name)}${suffix}`
+}
+
 module.exports = {
   urlToFilePath,
-  entityToFilePath
+  entityToFilePath,
+  contextToDir,
+  sessionToFilePath
 }
@@ -0,0 +1,71 @@
+/**
+ * @file
+ * Plain HTTP utilities (for resources that don't require a browser page, e.g.
+ * robots.txt).
+ */
+
+const http = require('http')
+const https = require('https')
+const urlParse = require('url-parse')
+
+/**
+ * Fetches given URL using a simple GET request.
+ *
+ * Follows redirects (up to 5 by default).
+ *
+ * @example
+ *   const response = await get('https://www.example.com/robots.txt')
+ *   if (response.status === 200) {
+ *     console.log(response.body.toString())
+ *   }
+ *
+ * @param {string} url to fetch.
+ * @param {object} options (optional) :
+ *   - headers {object} : request headers.
+ *   - timeout {number} : in ms (defaults to 10000).
+ *   - maxRedirects {number} : defaults to 5.
+ * @return {Promise} Resolves with an object containing the response 'status',
+ *   'headers', 'body' (Buffer) and 'url' (after redirects).
+ */
+const get = (url, options) => {
+  const { headers, timeout, maxRedirects } = {
+    headers: {},
+    timeout: 10000,
+    maxRedirects: 5,
+    ...options
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = urlParse(url).protocol === 'http:' ? http : https
+    const request = client.get(url, { headers, timeout }, response => {
+      const { statusCode, headers: responseHeaders } = response
+
+      if (statusCode >= 300 && statusCode < 400 && responseHeaders.location) {
+        response.resume()
+        if (maxRedirects < 1) {
+          reject(Error(`Too many redirects for ${url}`))
+          return
+        }
+        const location = urlParse(responseHeaders.location, url).toString()
+        resolve(get(location, { headers, timeout, maxRedirects: maxRedirects - 1 }))
+        return
+      }
+
+      const chunks = []
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('error', reject)
+      response.on('end', () => resolve({
+        status: statusCode,
+        headers: responseHeaders,
+        body: Buffer.concat(chunks),
+        url
+      }))
+    })
+    request.on('timeout', () => request.destroy(Error(`Request timed out for ${url}`)))
+    request.on('error', reject)
+  })
+}
+
+module.exports = {
+  get
+}
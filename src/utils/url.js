@@ -0,0 +1,147 @@
+/**
+ * @file
+ * URL-related utilities.
+ */
+
+const urlParse = require('url-parse')
+
+const defaultPorts = {
+  'http:': '80',
+  'https:': '443'
+}
+
+/**
+ * Normalizes given URL (e.g. for deduplication).
+ *
+ * - resolves relative URLs against given base URL,
+ * - removes the fragment (#anchor) and default ports,
+ * - lowercases the protocol and hostname,
+ * - removes the query args matching given names (e.g. tracking params). These
+ *   names can contain '*' wildcards,
+ * - sorts the remaining query args,
+ * - adds or removes the trailing slash of the path (except for the root path).
+ *
+ * URLs using other protocols than http(s) or file (e.g. 'mailto:',
+ * 'javascript:', 'tel:') are not navigable, so undefined is returned for them.
+ *
+ * @example
+ *   // Expected output : 'https://www.example.com/blog?page=2'
+ *   console.log(normalize('/blog/?utm_source=x&page=2#top', 'https://WWW.example.com/', {
+ *     stripParams: ['utm_*'],
+ *     trailingSlash: 'remove'
+ *   }))
+ *
+ * @param {string} url to normalize.
+ * @param {string} base (optional) URL used to resolve relative URLs.
+ * @param {object} options (optional) :
+ *   - stripParams {array} : names of the query args to remove.
+ *   - trailingSlash {string} : 'remove' (default), 'add' or 'keep'.
+ * @return {string} The normalized URL.
+ */
+const normalize = (url, base, options) => {
+  const { stripParams, trailingSlash } = {
+    stripParams: [],
+    trailingSlash: 'remove',
+    ...options
+  }
+
+  if (!url) {
+    return
+  }
+
+  const parsedUrl = base ? urlParse(url.trim(), base) : urlParse(url.trim())
+  const protocol = parsedUrl.protocol.toLowerCase()
+  if (!['http:', 'https:', 'file:'].includes(protocol)) {
+    return
+  }
+  parsedUrl.set('protocol', protocol)
+  parsedUrl.set('hash', '')
+  parsedUrl.set('hostname', parsedUrl.hostname.toLowerCase())
+  if (parsedUrl.port && defaultPorts[protocol] === parsedUrl.port) {
+    parsedUrl.set('port', '')
+  }
+
+  // Filter and sort query args. NB : the query string is appended at the end
+  // because url-parse would otherwise drop repeated args.
+  let query = ''
+  if (parsedUrl.query) {
+    const stripPatterns = stripParams.map(name => new RegExp(
+      '^' + name.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+    ))
+    const args = parsedUrl.query
+      .replace(/^\?/, '')
+      .split('&')
+      .filter(arg => arg.length)
+      .filter(arg => !stripPatterns.some(pattern => pattern.test(arg.split('=')[0])))
+      .sort()
+    query = args.length ? '?' + args.join('&') : ''
+    parsedUrl.set('query', '')
+  }
+
+  let pathname = parsedUrl.pathname || '/'
+  if (pathname !== '/' && protocol !== 'file:') {
+    if (trailingSlash === 'remove') {
+      pathname = pathname.replace(/\/+$/, '')
+    } else if (trailingSlash === 'add' && !pathname.endsWith('/')) {
+      pathname += '/'
+    }
+  }
+  parsedUrl.set('pathname', pathname)
+
+  return parsedUrl.toString() + query
+}
+
+/**
+ * Determines if given URL matches given pattern.
+ *
+ * Patterns can either be regular expressions (strings delimited by slashes,
+ * with optional flags) or globs, where '*' matches any characters except '/',
+ * and '**' matches any characters. Globs must match the entire URL, unless
+ * they start with '/', in which case they match the URL path (including the
+ * query string). NB : this means path globs must not end with a slash,
+ * otherwise they would be considered as regular expressions.
+ *
+ * @example
+ *   // Regular expressions :
+ *   matchesPattern('https://www.example.com/blog/my-post', '/\\/blog\\//') // true
+ *   matchesPattern('https://www.example.com/BLOG', '/\\/blog$/i') // true
+ *   // Globs :
+ *   matchesPattern('https://www.example.com/blog/my-post', '/blog/*') // true
+ *   matchesPattern('https://www.example.com/blog/2020/my-post', '/blog/*') // false
+ *   matchesPattern('https://www.example.com/blog/2020/my-post', '/blog/**') // true
+ *   matchesPattern('https://shop.example.com/cart', 'https://*.example.com/**') // true
+ *
+ * @param {string} url to test.
+ * @param {string|RegExp} pattern to match.
+ * @return {boolean}
+ */
+const matchesPattern = (url, pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url)
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/)
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(url)
+  }
+
+  let subject = url
+  if (pattern.startsWith('/')) {
+    subject = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '') || '/'
+  }
+
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*')
+
+  return new RegExp(`^${source}$`).test(subject)
+}
+
+module.exports = {
+  normalize,
+  matchesPattern
+}
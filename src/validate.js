@@ -0,0 +1,539 @@
+/**
+ * @file
+ * Contains the session config validation.
+ *
+ * The whole config is checked before any page is opened, so that mistakes are
+ * reported all at once (with their JSON path and a suggestion) instead of
+ * surfacing as runtime errors during extraction.
+ * @see Main.validateConfig()
+ */
+
+const vm = require('vm')
+const defaultConfig = require('./utils/default_config')
+const { handlers } = require('./actions')
+
+const readinessKeys = ['waitUntil', 'waitForSelector', 'waitForFunction', 'settleDelay', 'navigationTimeout']
+const pageKeys = [...readinessKeys, 'actions', 'profile', 'cache', 'lazyLoad', 'include', 'exclude']
+const entryPointKeys = ['url', 'follow', 'sitemap', 'extract', 'is', 'engine', 'context', 'maxDepth', ...pageKeys]
+const followKeys = ['selector', 'to', 'scroll', 'maxPagesToCrawl', 'maxDepth', ...pageKeys]
+const sitemapKeys = ['to', 'pattern', 'maxPagesToCrawl', ...pageKeys]
+const extractionKeys = ['selector', 'select', 'extract', 'as', 'fallback', 'multiFieldScope', 'multiFieldScopes', 'attribute', 'emit', 'element']
+const extractionTypes = ['text', 'text_single', 'markup', 'attribute', 'element']
+const engines = ['browser', 'static']
+
+// Settings accepting more than the type of their default value.
+const settingTypes = {
+  crawlDelay: ['number', 'array', 'boolean'],
+  auth: ['object', 'null'],
+  requestBlocking: ['object', 'boolean'],
+  allowedDomains: ['string', 'array'],
+  entityMetadataKey: ['string', 'boolean', 'null'],
+  urlStripParams: ['array', 'boolean'],
+  waitUntil: ['string', 'array']
+}
+
+// Settings accepting a fixed list of (string) values.
+const settingValues = {
+  engine: engines,
+  urlTrailingSlash: ['remove', 'add', 'keep'],
+  allowedDomains: ['same-host', 'subdomains', 'any']
+}
+
+// Field or prop destinations, e.g. 'entity.title', 'component.Lede.text' or
+// 'component.MediaGrid.items[].image'.
+const asPattern = /^(entity|component)(\.[A-Za-z_][\w-]*(\[\])?)+$/
+const destinationPattern = /^[\w-]+\/[\w*-]+$/
+
+/**
+ * Checks given session config.
+ *
+ * @example
+ *  // Expected output :
+ *  // [
+ *  //   {
+ *  //     path: '$.components[1].extract[0].as',
+ *  //     message: "Missing 'as' key",
+ *  //     suggestion: "Set where the extracted value goes, e.g. 'entity.title' or 'component.Card.title'"
+ *  //   }
+ *  // ]
+ *  console.log(validate(config))
+ *
+ * @param {object} config session config.
+ * @return {array} The problems found : objects having the keys 'path' (JSON
+ *  path of the problematic value), 'message' and 'suggestion' (may be empty).
+ */
+const validate = (config) => {
+  const problems = []
+  const report = (path, message, suggestion) => {
+    problems.push({ path, message, suggestion: suggestion || '' })
+  }
+
+  if (!isObject(config)) {
+    report('$', 'The config must be an object (or an array of entry points)')
+    return problems
+  }
+
+  const settings = isObject(config.settings) ? config.settings : {}
+  const containerTypes = settings.extractionContainerTypes || defaultConfig.setting('extractionContainerTypes')
+  const profiles = Object.keys({ ...defaultConfig.setting('profiles'), ...settings.profiles })
+  const clustered = settings.clusterWorkers > 0
+  const context = { config, containerTypes, profiles, clustered, report }
+
+  checkKeys(config, ['settings', 'start', 'actions', ...containerTypes], '$', report, key => destinationPattern.test(key))
+
+  if ('settings' in config) {
+    validateSettings(config.settings, '$.settings', context)
+  }
+
+  if (!Array.isArray(config.start) || !config.start.length) {
+    report('$.start', 'Missing entry points', "Add a 'start' array listing at least 1 entry point (having a 'url' key)")
+  } else {
+    config.start.forEach((entryPoint, i) => validateEntryPoint(entryPoint, `$.start[${i}]`, context))
+  }
+  validateAuth(config, settings, report)
+
+  if ('actions' in config) {
+    if (!isObject(config.actions)) {
+      report('$.actions', "The 'actions' key must be an object listing actions by destination", 'e.g. { "content/*": [{ "action": "click", "selector": ".cookie-wall button" }] }')
+    } else {
+      Object.keys(config.actions).forEach(to => {
+        checkDestinationFormat(to, getPath('$.actions', to), report)
+        validateActions(config.actions[to], getPath('$.actions', to), context)
+      })
+    }
+  }
+
+  Object.keys(config)
+    .filter(key => containerTypes.includes(key) || destinationPattern.test(key))
+    .forEach(key => {
+      validateExtractionConfigs(config[key], getPath('$', key), context)
+    })
+
+  return problems
+}
+
+/**
+ * Formats the problems found by validate() as a single message.
+ *
+ * @param {array} problems found by validate().
+ * @return {string} 1 line per problem (+ 1 line per suggestion).
+ */
+const format = (problems) => {
+  const lines = [`Invalid config (${problems.length} problem${problems.length > 1 ? 's' : ''}) :`]
+  problems.forEach(problem => {
+    lines.push(`  ${problem.path} : ${problem.message}`)
+    if (problem.suggestion) {
+      lines.push(`    -> ${problem.suggestion}`)
+    }
+  })
+  return lines.join('\n')
+}
+
+const validateSettings = (settings, path, context) => {
+  const { report, profiles } = context
+  if (!isObject(settings)) {
+    report(path, "The 'settings' key must be an object")
+    return
+  }
+
+  const names = defaultConfig.settingNames()
+  checkKeys(settings, names, path, report)
+
+  Object.keys(settings).filter(name => names.includes(name)).forEach(name => {
+    const value = settings[name]
+    const defaultValue = defaultConfig.setting(name)
+    const types = settingTypes[name] || (defaultValue === null ? ['object', 'null'] : [typeOf(defaultValue)])
+    if (!types.includes(typeOf(value))) {
+      report(`${path}.${name}`, `Invalid value type (${typeOf(value)})`, `Expected ${types.join(' or ')} (default : ${JSON.stringify(defaultValue)})`)
+      return
+    }
+    if (name in settingValues && typeof value === 'string' && !settingValues[name].includes(value)) {
+      report(`${path}.${name}`, `Invalid value '${value}'`, suggest(value, settingValues[name]))
+    }
+  })
+
+  if (typeof settings.profile === 'string' && !profiles.includes(settings.profile)) {
+    report(`${path}.profile`, `Unknown device profile '${settings.profile}'`, suggest(settings.profile, profiles))
+  }
+}
+
+/**
+ * Form login needs the 'browser' engine : static pages can't submit forms, nor
+ * share the cookies of the browser pages.
+ * @see Auth.init()
+ */
+const validateAuth = (config, settings, report) => {
+  const entryPoints = Array.isArray(config.start) ? config.start : []
+  if (settings.engine !== 'static' && !entryPoints.some(entryPoint => isObject(entryPoint) && entryPoint.engine === 'static')) {
+    return
+  }
+  const auths = { '$.settings.auth': settings.auth }
+  if (isObject(settings.contexts)) {
+    Object.keys(settings.contexts).filter(name => isObject(settings.contexts[name])).forEach(name => {
+      auths[`${getPath('$.settings.contexts', name)}.auth`] = settings.contexts[name].auth
+    })
+  }
+  Object.keys(auths).filter(path => isObject(auths[path]) && auths[path].form).forEach(path => {
+    report(`${path}.form`, "Form login is not supported by the 'static' engine", "Use the 'browser' engine, or send the session cookie using 'headersFromEnv' (e.g. { Cookie: 'INTRANET_SESSION_COOKIE' })")
+  })
+}
+
+const validateEntryPoint = (entryPoint, path, context) => {
+  const { report } = context
+  if (!isObject(entryPoint)) {
+    report(path, 'Entry points must be objects')
+    return
+  }
+  checkKeys(entryPoint, entryPointKeys, path, report)
+  validatePageKeys(entryPoint, path, context)
+
+  if (typeof entryPoint.url !== 'string' || !entryPoint.url) {
+    report(`${path}.url`, 'Missing start url', "Set the 'url' of the first page to open")
+  }
+  if (!entryPoint.follow && !entryPoint.sitemap && !entryPoint.extract) {
+    report(path, "Missing 'follow', 'sitemap' or 'extract' key", "Add 'follow' blocks (links to crawl), 'sitemap' blocks (URLs listed in a sitemap) or 'extract' configs (to extract this URL directly)")
+  }
+  if ('engine' in entryPoint && !engines.includes(entryPoint.engine)) {
+    report(`${path}.engine`, `Unknown engine '${entryPoint.engine}'`, suggest(entryPoint.engine, engines))
+  }
+  if ('is' in entryPoint) {
+    checkDestinationFormat(entryPoint.is, `${path}.is`, report)
+  }
+
+  if ('follow' in entryPoint) {
+    forEachItem(entryPoint.follow, `${path}.follow`, report, (block, blockPath) => {
+      checkKeys(block, followKeys, blockPath, report)
+      validatePageKeys(block, blockPath, context)
+      if (typeof block.selector !== 'string' || !block.selector) {
+        report(`${blockPath}.selector`, 'Missing selector of the links to follow', "e.g. '.view-articles h2 > a'")
+      }
+      if (block.to !== 'follow') {
+        validateDestination(block.to, `${blockPath}.to`, context)
+      }
+    })
+  }
+
+  if ('sitemap' in entryPoint) {
+    forEachItem(entryPoint.sitemap, `${path}.sitemap`, report, (block, blockPath) => {
+      checkKeys(block, sitemapKeys, blockPath, report)
+      validatePageKeys(block, blockPath, context)
+      if (block.to === 'follow') {
+        report(`${blockPath}.to`, "Sitemap blocks can't follow links", "Set an extraction destination instead, e.g. 'content/blog'")
+        return
+      }
+      validateDestination(block.to, `${blockPath}.to`, context)
+    })
+  }
+
+  if ('extract' in entryPoint) {
+    validateExtractionConfigs(entryPoint.extract, `${path}.extract`, context)
+  }
+}
+
+/**
+ * Checks the keys shared by entry points, "follow" and "sitemap" blocks.
+ */
+const validatePageKeys = (block, path, context) => {
+  const { report, profiles } = context
+  if ('profile' in block && !profiles.includes(block.profile)) {
+    report(`${path}.profile`, `Unknown device profile '${block.profile}'`, suggest(block.profile, profiles) || "Define it in the 'profiles' setting")
+  }
+  if ('actions' in block) {
+    validateActions(block.actions, `${path}.actions`, context)
+  }
+  if ('maxPagesToCrawl' in block && typeof block.maxPagesToCrawl !== 'number') {
+    report(`${path}.maxPagesToCrawl`, `Invalid value type (${typeOf(block.maxPagesToCrawl)})`, 'Expected number')
+  }
+  if ('maxDepth' in block && typeof block.maxDepth !== 'number') {
+    report(`${path}.maxDepth`, `Invalid value type (${typeOf(block.maxDepth)})`, 'Expected number')
+  }
+}
+
+const validateActions = (actions, path, context) => {
+  const { report } = context
+  const types = Object.keys(handlers)
+  forEachItem(actions, path, report, (action, actionPath) => {
+    if (!('action' in action)) {
+      report(`${actionPath}.action`, 'Missing action type', `Available actions : ${types.join(', ')}`)
+    } else if (!types.includes(action.action)) {
+      report(`${actionPath}.action`, `Unknown action '${action.action}'`, suggest(action.action, types) || `Available actions : ${types.join(', ')}`)
+    }
+  })
+}
+
+const checkDestinationFormat = (to, path, report) => {
+  if (typeof to !== 'string' || !destinationPattern.test(to)) {
+    report(path, `Invalid destination ${JSON.stringify(to)}`, "Destinations are '<entity type>/<bundle>', e.g. 'content/blog' (wildcards are supported, e.g. 'content/*')")
+    return false
+  }
+  return true
+}
+
+/**
+ * Checks that extraction configs exist for the destination of a "follow" or
+ * "sitemap" block.
+ * @see Extractor.mapConfig()
+ */
+const validateDestination = (to, path, context) => {
+  const { config, report } = context
+  if (!checkDestinationFormat(to, path, report)) {
+    return
+  }
+  const [entityType] = to.split('/')
+  const keys = Object.keys(config).filter(key => destinationPattern.test(key))
+  if (!keys.includes(to) && !keys.includes(`${entityType}/*`)) {
+    report(path, `No extraction configs are defined for destination '${to}'`, suggest(to, keys) || `Add a '${to}' (or '${entityType}/*') key listing its extraction configs`)
+  }
+}
+
+const validateExtractionConfigs = (configs, path, context) => {
+  forEachItem(configs, path, context.report, (config, configPath) => {
+    validateExtractionConfig(config, configPath, context)
+  })
+}
+
+/**
+ * Checks a single extraction config (and its nested configs).
+ *
+ * @param {object} config extraction config.
+ * @param {string} path JSON path of the config.
+ * @param {object} context validation context.
+ * @param {boolean} isFallback (optional) fallback configs override the keys
+ *  of the config they belong to, so none is required.
+ */
+const validateExtractionConfig = (config, path, context, isFallback) => {
+  const { report, containerTypes, clustered } = context
+  checkKeys(config, extractionKeys, path, report)
+
+  if (!isFallback && !('selector' in config) && !('select' in config)) {
+    report(path, "Missing 'selector' (or 'select') key", "Set the CSS selector of the element(s) to extract, or a 'select' JS expression returning them")
+  }
+  if ('selector' in config && (typeof config.selector !== 'string' || !config.selector)) {
+    report(`${path}.selector`, 'The selector must be a non-empty string')
+  }
+  // Configs loaded from JS modules may use functions (see src/config.js), but
+  // they can't be sent to cluster workers.
+  ['select', 'element'].filter(key => clustered && typeof config[key] === 'function')
+    .forEach(key => report(`${path}.${key}`, `Functions can't be used in cluster mode (the '${key}' key)`, "Use a JS expression string for 'select', or the 'emit' key instead of 'element'"))
+  if ('select' in config && typeof config.select !== 'function') {
+    if (typeof config.select !== 'string') {
+      report(`${path}.select`, "The 'select' key must be a JS expression (string) returning an array of elements")
+    } else {
+      const error = getSyntaxError(config.select)
+      if (error) {
+        report(`${path}.select`, `Invalid JS expression : ${error}`, "e.g. \"[...document.querySelectorAll('.nav-tabs')].map(e => e.parentElement)\"")
+      }
+    }
+  }
+
+  const types = [...extractionTypes, ...containerTypes]
+  if (!('extract' in config)) {
+    if (!isFallback) {
+      report(`${path}.extract`, "Missing 'extract' key", `Set the extraction type (${types.join(', ')}) or an array of extraction configs`)
+    }
+  } else if (Array.isArray(config.extract)) {
+    if (!config.extract.length) {
+      report(`${path}.extract`, 'Empty extraction configs list')
+    }
+    validateExtractionConfigs(config.extract, `${path}.extract`, context)
+  } else if (!types.includes(config.extract)) {
+    report(`${path}.extract`, `Unknown extraction type ${JSON.stringify(config.extract)}`, suggest(config.extract, types) || `Available types : ${types.join(', ')}`)
+  }
+
+  if (!('as' in config)) {
+    if (!isFallback) {
+      report(`${path}.as`, "Missing 'as' key", "Set where the extracted value goes, e.g. 'entity.title' or 'component.Card.title'")
+    }
+  } else if (typeof config.as !== 'string' || !asPattern.test(config.as)) {
+    report(`${path}.as`, `Invalid destination ${JSON.stringify(config.as)}`, "Expected 'entity.<field>', 'component.<Name>', 'component.<Name>.<prop>' or 'component.<Name>.<group>[].<prop>'")
+  }
+
+  if (config.extract === 'attribute' && !config.attribute) {
+    report(`${path}.attribute`, "Missing 'attribute' key", "Set the name of the attribute to extract, e.g. 'href'")
+  }
+  if ('attribute' in config && config.extract !== 'attribute') {
+    report(`${path}.attribute`, "The 'attribute' key only applies to the 'attribute' extraction type")
+  }
+  if (config.extract === 'element' && !config.emit && typeof config.element !== 'function') {
+    report(`${path}.emit`, "Missing 'emit' key", "Set the name of the event whose listeners extract the element(s), e.g. 'extract.media.image' (or an 'element' callback in JS config modules)")
+  }
+  if ('element' in config && typeof config.element !== 'function') {
+    report(`${path}.element`, "The 'element' key must be a function (in JS config modules)", "Use the 'emit' key in JSON or YAML config files")
+  }
+
+  if ('multiFieldScope' in config) {
+    if (typeof config.multiFieldScope !== 'string') {
+      report(`${path}.multiFieldScope`, 'The multi-field scope must be a selector (string)')
+    } else if (!getMultiFieldName(config.as)) {
+      report(`${path}.multiFieldScope`, "The 'multiFieldScope' key only applies to multi-field destinations", "e.g. 'component.NavTabs.items[].title'")
+    }
+  }
+  if ('multiFieldScopes' in config) {
+    validateMultiFieldScopes(config, path, report)
+  }
+
+  if ('fallback' in config) {
+    if (!isObject(config.fallback)) {
+      report(`${path}.fallback`, 'The fallback must be an extraction config (object)')
+    } else {
+      validateExtractionConfig(config.fallback, `${path}.fallback`, context, true)
+    }
+  }
+}
+
+/**
+ * The 'multiFieldScopes' key is an object keyed by the multi-field group names
+ * of the nested extraction configs.
+ * @see Step.scopeMultiFieldSelector()
+ */
+const validateMultiFieldScopes = (config, path, report) => {
+  if (!isObject(config.multiFieldScopes)) {
+    report(`${path}.multiFieldScopes`, "The 'multiFieldScopes' key must be an object keyed by multi-field group names", 'e.g. { "items": "> .nav-tabs > li" }')
+    return
+  }
+  const groups = (Array.isArray(config.extract) ? config.extract : [])
+    .map(subConfig => getMultiFieldName(subConfig.as))
+    .filter(group => group)
+  Object.keys(config.multiFieldScopes).forEach(group => {
+    if (!groups.includes(group)) {
+      report(`${path}.multiFieldScopes.${group}`, `Unknown multi-field group '${group}'`, suggest(group, groups) ||
+        (groups.length ? `Multi-field groups : ${groups.join(', ')}` : "None of the 'extract' configs has a multi-field destination (e.g. 'component.MediaGrid.items[].image')"))
+    } else if (typeof config.multiFieldScopes[group] !== 'string') {
+      report(`${path}.multiFieldScopes.${group}`, 'The multi-field scope must be a selector (string)')
+    }
+  })
+}
+
+/**
+ * Returns the multi-field group name of given destination.
+ *
+ * @example
+ *  // Expected output : 'items'
+ *  console.log(getMultiFieldName('component.MediaGrid.items[].image'))
+ */
+const getMultiFieldName = (as) => {
+  if (typeof as !== 'string') {
+    return null
+  }
+  const group = as.split('.').find(part => part.endsWith('[]'))
+  return group ? group.slice(0, -2) : null
+}
+
+/**
+ * Reports the keys of given object that are not allowed.
+ *
+ * @param {function} isAllowed (optional) callback for keys not listed.
+ */
+const checkKeys = (object, allowed, path, report, isAllowed) => {
+  Object.keys(object).forEach(key => {
+    if (allowed.includes(key) || (isAllowed && isAllowed(key))) {
+      return
+    }
+    const suggestion = (key === '$ref' || key === 'extends')
+      ? `Config files using '${key}' must be loaded with SimpleScraps.fromFile() (see src/config.js)`
+      : suggest(key, allowed)
+    report(getPath(path, key), `Unknown key '${key}'`, suggestion)
+  })
+}
+
+/**
+ * Returns the JSON path of given key.
+ *
+ * @example
+ *  // Expected output : "$['content/blog']"
+ *  console.log(getPath('$', 'content/blog'))
+ */
+const getPath = (path, key) => {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`
+}
+
+/**
+ * Runs given callback on each object of given array (reporting other values).
+ */
+const forEachItem = (items, path, report, callback) => {
+  if (!Array.isArray(items)) {
+    report(path, `Expected an array (got ${typeOf(items)})`)
+    return
+  }
+  items.forEach((item, i) => {
+    if (!isObject(item)) {
+      report(`${path}[${i}]`, `Expected an object (got ${typeOf(item)})`)
+      return
+    }
+    callback(item, `${path}[${i}]`)
+  })
+}
+
+/**
+ * Returns a "did you mean" suggestion for misspelled values (if a candidate
+ * is close enough).
+ */
+const suggest = (value, candidates) => {
+  if (typeof value !== 'string') {
+    return ''
+  }
+  let best = null
+  let bestDistance = Infinity
+  candidates.forEach(candidate => {
+    const distance = getDistance(value.toLowerCase(), candidate.toLowerCase())
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  })
+  if (best === null || bestDistance > Math.max(2, Math.floor(value.length / 3))) {
+    return ''
+  }
+  return `Did you mean '${best}' ?`
+}
+
+/**
+ * Returns the Levenshtein distance between 2 strings.
+ */
+const getDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Compiles given JS expression without evaluating it ('select' expressions
+ * are evaluated in page context, see Iterable.scopeSelector()).
+ *
+ * @return {string} The syntax error message, or null if the expression is
+ *  valid.
+ */
+const getSyntaxError = (expression) => {
+  try {
+    return new vm.Script(`(${expression})`) && null
+  } catch (error) {
+    return error.message
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return typeof value
+}
+
+const isObject = (value) => typeOf(value) === 'object'
+
+module.exports = {
+  validate,
+  format
+}
@@ -0,0 +1,91 @@
+const test = require('ava')
+const fs = require('fs')
+const Auth = require('../src/Auth')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use custom objects to mock '../src/Main' and '../src/Page' classes, which
+// are not the ones being tested here.
+const settings = {
+  auth: {
+    headers: { 'X-Requested-By': 'SimpleScraps' },
+    headersFromEnv: { 'X-Api-Key': 'SIMPLE_SCRAPS_TEST_API_KEY' },
+    form: {
+      url: 'https://intranet.example.com/user/login',
+      fields: [
+        { selector: '#edit-name', env: 'SIMPLE_SCRAPS_TEST_USER' },
+        { selector: '#edit-pass', env: 'SIMPLE_SCRAPS_TEST_PASS' }
+      ],
+      submit: '#edit-submit'
+    },
+    loggedOutPattern: '/user/login**'
+  },
+  contexts: {
+    'account-b': {
+      auth: { headers: { 'X-Account': 'b' } }
+    }
+  }
+}
+const MainMock = {}
+MainMock.getSetting = setting => settings[setting] ?? defaultConfig.setting(setting)
+MainMock.getSessionName = () => 'intranet.example.com'
+
+const getPageWorkerMock = (url, selectors) => ({
+  page: {
+    url: () => url,
+    $: async selector => selectors.includes(selector) ? {} : null
+  }
+})
+
+test('1. Credentials must be read from environment variables', t => {
+  const auth = new Auth(MainMock)
+  t.throws(() => auth.getHeaders(), { message: /SIMPLE_SCRAPS_TEST_API_KEY/ })
+
+  process.env.SIMPLE_SCRAPS_TEST_API_KEY = 'secret'
+  t.deepEqual(
+    { 'X-Requested-By': 'SimpleScraps', 'X-Api-Key': 'secret' },
+    auth.getHeaders()
+  )
+  delete process.env.SIMPLE_SCRAPS_TEST_API_KEY
+})
+
+test('2. Logged-out pages must be detected', async t => {
+  const auth = new Auth(MainMock)
+  t.false(await auth.isLoggedOut(getPageWorkerMock('https://intranet.example.com/news', [])))
+  t.true(await auth.isLoggedOut(getPageWorkerMock('https://intranet.example.com/news', ['#edit-name'])))
+  t.true(await auth.isLoggedOut(getPageWorkerMock('https://intranet.example.com/user/login?destination=/news', [])))
+})
+
+test('3. Browser contexts must have their own auth settings and state', t => {
+  const auth = new Auth(MainMock, 'account-b')
+  t.deepEqual({ 'X-Account': 'b' }, auth.getHeaders())
+  t.is(undefined, auth.getConfig().form)
+  t.is('data/sessions/intranet-example-com.account-b.auth.json', auth.getFilePath())
+  t.is('data/sessions/intranet-example-com.auth.json', new Auth(MainMock).getFilePath())
+})
+
+test('4. Only the cookies of the login form host must be saved, and not in dry runs', async t => {
+  const auth = new Auth({ ...MainMock, planner: {} })
+  const cookie = (name, domain) => ({ name, value: 'v', domain, path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' })
+  const pageWorker = {
+    page: {
+      url: () => 'https://intranet.example.com/news',
+      evaluate: async () => ({}),
+      target: () => ({
+        createCDPSession: async () => ({
+          send: async () => ({
+            cookies: [
+              cookie('session', 'intranet.example.com'),
+              cookie('lang', '.example.com'),
+              cookie('tracker', '.analytics.example.org')
+            ]
+          }),
+          detach: async () => {}
+        })
+      })
+    }
+  }
+  await auth.save(pageWorker)
+
+  t.deepEqual(['session', 'lang'], auth.state.cookies.map(cookie => cookie.name))
+  t.false(fs.existsSync(auth.getFilePath()))
+})
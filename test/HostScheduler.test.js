@@ -0,0 +1,75 @@
+const test = require('ava')
+const HostScheduler = require('../src/HostScheduler')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use a custom object to mock '../src/Main' class, which is not the one
+// being tested here.
+const createMainMock = (settings) => {
+  return {
+    getSetting: (setting) => {
+      if (settings && setting in settings) {
+        return settings[setting]
+      }
+      return defaultConfig.setting(setting)
+    }
+  }
+}
+
+// Mocks Puppeteer HTTPResponse instances.
+const createResponseMock = (status, headers) => {
+  return {
+    status: () => status,
+    headers: () => headers || {}
+  }
+}
+
+test('1. Hosts must be scheduled independently', async t => {
+  const scheduler = new HostScheduler(createMainMock({ crawlDelay: [5000, 5000] }))
+  t.is(0, scheduler.getDelay('https://www.example.com/a'))
+  await scheduler.acquire('https://www.example.com/a')
+  t.true(scheduler.getDelay('https://www.example.com/b') > 4000)
+  t.is(0, scheduler.getDelay('https://www.example.org/a'))
+})
+
+test('2. Hosts must not exceed the maximum number of open pages', async t => {
+  const scheduler = new HostScheduler(createMainMock({
+    crawlDelay: false,
+    hostMaxConcurrentPages: 2
+  }))
+  await scheduler.acquire('https://www.example.com/a')
+  await scheduler.acquire('https://www.example.com/b')
+  t.is(Infinity, scheduler.getDelay('https://www.example.com/c'))
+  scheduler.release('https://www.example.com/a')
+  t.is(0, scheduler.getDelay('https://www.example.com/c'))
+})
+
+test('3. Retry-After headers must be honoured', t => {
+  const scheduler = new HostScheduler(createMainMock({ crawlDelay: false }))
+  scheduler.report('https://www.example.com/a', createResponseMock(429, { 'retry-after': '120' }))
+  t.true(scheduler.getDelay('https://www.example.com/b') > 110000)
+  t.is(0, scheduler.getDelay('https://www.example.org/a'))
+})
+
+test('4. Throttling must back off on errors and speed up when healthy', t => {
+  const scheduler = new HostScheduler(createMainMock({ crawlDelay: false }))
+  const url = 'https://www.example.com/a'
+
+  scheduler.report(url, createResponseMock(503))
+  const firstBackoff = scheduler.getHost(url).backoff
+  t.true(firstBackoff > 0)
+  scheduler.report(url, createResponseMock(503))
+  t.true(scheduler.getHost(url).backoff > firstBackoff)
+
+  // The error rate must get below the threshold before speeding up.
+  for (let i = 0; i < 20; i++) {
+    scheduler.report(url, createResponseMock(200))
+  }
+  t.is(0, scheduler.getHost(url).backoff)
+})
+
+test('5. A number crawl delay must be used as a fixed interval', async t => {
+  const scheduler = new HostScheduler(createMainMock({ crawlDelay: 5000 }))
+  t.is(5000, scheduler.getRandomInterval())
+  await scheduler.acquire('https://www.example.com/a')
+  t.true(scheduler.getDelay('https://www.example.com/b') > 4000)
+})
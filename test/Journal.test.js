@@ -0,0 +1,136 @@
+const test = require('ava')
+const fs = require('fs')
+const SimpleScraps = require('../src/Main')
+
+const config = () => {
+  return {
+    settings: {
+      sessionName: 'test-journal'
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog',
+        follow: [
+          {
+            selector: 'article h2 > a',
+            to: 'content/blog'
+          }
+        ]
+      }
+    ]
+  }
+}
+
+// This runs after all tests.
+test.after.always('cleanup', t => {
+  const scraps = new SimpleScraps(config())
+  if (scraps.journal.exists()) {
+    fs.unlinkSync(scraps.journal.getFilePath())
+  }
+})
+
+test('1. Session name must be derived from the first entry point URL when not set', t => {
+  const scraps = new SimpleScraps([{ url: 'https://www.chouette.net.br/blog' }])
+  t.is('www-chouette-net-br-blog', scraps.getSessionName())
+})
+
+test.serial('2. Operations in progress must be saved back in the queue', t => {
+  const scraps = new SimpleScraps(config())
+  scraps.operations.addItem('https://www.example.com/blog/a', { type: 'extract', to: 'content/blog' })
+  scraps.operations.addItem('https://www.example.com/blog/b', { type: 'extract', to: 'content/blog' })
+  scraps.operations.addItem('https://www.example.com/blog/c', { type: 'extract', to: 'content/blog' })
+  scraps.crawledUrls.push('https://www.example.com/blog/a')
+  scraps.crawlLimits['content/blog :: article h2 > a'] = 3
+
+  // The 1st op is completed, the 2nd is being processed.
+  const firstOp = scraps.operations.getItem('https://www.example.com/blog/a')
+  scraps.journal.begin('https://www.example.com/blog/a', firstOp)
+  scraps.journal.complete('https://www.example.com/blog/a', firstOp)
+  const secondOp = scraps.operations.getItem('https://www.example.com/blog/b')
+  scraps.journal.begin('https://www.example.com/blog/b', secondOp)
+  scraps.journal.save()
+
+  const resumed = new SimpleScraps(config())
+  t.true(resumed.journal.restore())
+  t.deepEqual(
+    ['https://www.example.com/blog/b', 'https://www.example.com/blog/c'],
+    resumed.operations.getKeys()
+  )
+  t.deepEqual(['https://www.example.com/blog/a'], resumed.crawledUrls)
+  t.is(3, resumed.crawlLimits['content/blog :: article h2 > a'])
+  t.deepEqual({ extract: { 'content/blog': 1 } }, resumed.journal.completed)
+})
+
+test.serial('3. A finished session must have nothing left to resume', t => {
+  const scraps = new SimpleScraps(config())
+  scraps.operations.addItem('https://www.example.com/blog/a', { type: 'extract', to: 'content/blog' })
+  scraps.journal.finish()
+
+  const resumed = new SimpleScraps(config())
+  t.false(resumed.journal.restore())
+  t.is(0, resumed.operations.getKeysCount())
+})
+
+test.serial('4. The session state must be written at most once per interval', t => {
+  const scraps = new SimpleScraps(config())
+  scraps.setSettings({ journalSaveInterval: 60000 })
+  const op = { type: 'extract', to: 'content/blog' }
+  scraps.journal.begin('https://www.example.com/blog/a', op)
+  scraps.journal.complete('https://www.example.com/blog/a', op)
+  scraps.operations.addItem('https://www.example.com/blog/b', { type: 'extract', to: 'content/blog' })
+  scraps.journal.complete('https://www.example.com/blog/b', scraps.operations.getItem('https://www.example.com/blog/b'))
+
+  // The 2nd write is delayed.
+  t.deepEqual({ extract: { 'content/blog': 1 } }, scraps.journal.load().completed)
+  t.truthy(scraps.journal.saveTimer)
+  scraps.journal.save()
+  t.deepEqual({ extract: { 'content/blog': 2 } }, scraps.journal.load().completed)
+  t.is(null, scraps.journal.saveTimer)
+})
+
+test.serial('5. Sessions having operations that contain functions must not be resumed', t => {
+  const scraps = new SimpleScraps(config())
+  scraps.operations.addItem('https://www.example.com/blog/a', {
+    type: 'extract',
+    to: 'content/blog',
+    extract: [{ select: () => [document.body], extract: 'text', as: 'entity.title' }]
+  })
+  scraps.journal.save()
+
+  const resumed = new SimpleScraps(config())
+  const error = t.throws(() => resumed.journal.restore())
+  t.true(error.message.includes('contain functions'))
+})
+
+test.serial('6. Resuming a partial run must tell completed URLs from interrupted ones', t => {
+  const scraps = new SimpleScraps(config())
+  const urls = ['a', 'b', 'c', 'd'].map(page => `https://www.example.com/blog/${page}`)
+  urls.forEach(url => scraps.operations.addItem(url, { type: 'extract', to: 'content/blog' }))
+  scraps.operations.addItem(urls[2], { type: 'extract', to: 'content/page' })
+
+  // 'a' is completed, 'b' was popped but not finished, only the 1st of the 2
+  // operations of 'c' is completed, and 'd' was not processed yet.
+  const processOp = (url, finish) => {
+    const op = scraps.operations.getItem(url)
+    scraps.journal.begin(url, op)
+    if (finish) {
+      scraps.journal.complete(url, op)
+    }
+  }
+  processOp(urls[0], true)
+  processOp(urls[1], false)
+  processOp(urls[2], true)
+  scraps.journal.save()
+
+  const resumed = new SimpleScraps(config())
+  t.true(resumed.journal.restore())
+  t.deepEqual([urls[0]], resumed.journal.completedKeys)
+  t.deepEqual([urls[1], urls[2], urls[3]], resumed.operations.getKeys())
+  t.deepEqual([{ type: 'extract', to: 'content/page' }], resumed.operations.getItems(urls[2]))
+
+  // Once the interrupted URL is processed, it's listed as completed.
+  const op = resumed.operations.getItem(urls[1])
+  resumed.journal.begin(urls[1], op)
+  resumed.journal.complete(urls[1], op)
+  t.deepEqual([urls[0], urls[1]], resumed.journal.completedKeys)
+})
@@ -1,4 +1,7 @@
 const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const { urls } = require('./shared.js')
 const SimpleScraps = require('../src/Main')
 const nestedComponentsConfig = require('./config/components_nested.json')
@@ -121,3 +124,659 @@ test.serial('3. Extract nested components', async t => {
 
   await scraps.run()
 })
+
+test('4. Links must be scoped to allowed domains', t => {
+  const scraps = new SimpleScraps([{ url: 'https://www.example.com/blog' }])
+  t.true(scraps.isAllowedDomain('https://www.example.com/blog/my-post'))
+  t.false(scraps.isAllowedDomain('https://shop.example.com/cart'))
+  t.false(scraps.isAllowedDomain('https://www.twitter.com/share'))
+
+  scraps.setSetting('allowedDomains', 'subdomains')
+  t.true(scraps.isAllowedDomain('https://shop.example.com/cart'))
+  t.false(scraps.isAllowedDomain('https://www.twitter.com/share'))
+
+  scraps.setSetting('allowedDomains', ['*.example.com', 'www.twitter.com'])
+  t.true(scraps.isAllowedDomain('https://example.com/'))
+  t.true(scraps.isAllowedDomain('https://www.twitter.com/share'))
+  t.false(scraps.isAllowedDomain('https://www.facebook.com/share'))
+})
+
+test('5. Links must be filtered by include and exclude patterns', t => {
+  const scraps = new SimpleScraps([{ url: 'https://www.example.com/blog' }])
+  const op = {
+    include: '/blog/**',
+    exclude: ['/blog/drafts/**', '/\\?preview=/'],
+    conf: { exclude: '/blog/tags/*' }
+  }
+  t.true(scraps.isIncluded('https://www.example.com/blog/my-post', op))
+  t.false(scraps.isIncluded('https://www.example.com/about', op))
+  t.false(scraps.isIncluded('https://www.example.com/blog/drafts/my-post', op))
+  t.false(scraps.isIncluded('https://www.example.com/blog/my-post?preview=1', op))
+  t.false(scraps.isIncluded('https://www.example.com/blog/tags/news', op))
+})
+
+test('6. Failed navigations must be retried, then recorded', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      navigationRetryDelay: 1
+    },
+    start: [{ url: 'https://www.example.com/blog' }]
+  })
+
+  // Mocks a page that times out once, then responds with given HTTP status.
+  const statuses = { 'https://www.example.com/a': 200, 'https://www.example.com/b': 404 }
+  const attempts = {}
+  const pageWorker = {
+    isHealthy: () => true,
+    setProfile: async () => {},
+    setRequestBlocking: async () => {},
+    open: async url => {
+      attempts[url] = (attempts[url] || 0) + 1
+      if (attempts[url] === 1) {
+        const error = Error('Navigation timeout of 30000 ms exceeded')
+        error.name = 'TimeoutError'
+        throw error
+      }
+      return { status: () => statuses[url], headers: () => ({}) }
+    }
+  }
+  const op = { type: 'extract', to: 'content/page' }
+  scraps.operations.addItem('https://www.example.com/b', op)
+
+  t.true(await scraps.navigate('https://www.example.com/a', pageWorker))
+  t.is(2, attempts['https://www.example.com/a'])
+
+  // 404 responses are not retryable.
+  t.false(await scraps.navigate('https://www.example.com/b', pageWorker))
+  t.is(2, attempts['https://www.example.com/b'])
+
+  const failures = scraps.getFailures()
+  t.is(1, failures.length)
+  t.is(404, failures[0].status)
+  t.is(2, failures[0].attempts)
+  t.deepEqual([op], failures[0].ops)
+  t.is(0, scraps.operations.getItemsCount('https://www.example.com/b'))
+  t.is(1, scraps.getStats().failed)
+})
+
+test('7. Readiness conditions must apply to the pages links lead to', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false,
+      waitUntil: 'networkidle2'
+    },
+    start: [
+      {
+        url: 'https://www.example.com/spa',
+        waitForSelector: '.results',
+        follow: [
+          {
+            selector: '.results a',
+            to: 'content/item',
+            waitForFunction: 'window.appReady',
+            maxPagesToCrawl: 10
+          }
+        ]
+      }
+    ]
+  })
+  await scraps.createInitialOps(scraps.config.start[0])
+  const crawlOp = scraps.operations.getItems('https://www.example.com/spa')[0]
+  await scraps.queueFoundUrls(['/item/1'], crawlOp, 'https://www.example.com/spa')
+
+  t.deepEqual(
+    { waitForSelector: '.results', waitUntil: 'networkidle2', navigationTimeout: 30000, settleDelay: 0 },
+    scraps.getPageReadiness('https://www.example.com/spa')
+  )
+  t.deepEqual(
+    { waitForFunction: 'window.appReady', waitUntil: 'networkidle2', navigationTimeout: 30000, settleDelay: 0 },
+    scraps.getPageReadiness('https://www.example.com/item/1')
+  )
+})
+
+test('8. Page actions must combine entry points, follow blocks and destinations', async t => {
+  const loadMore = { action: 'click', selector: '.load-more', repeatUntilGone: true }
+  const expand = { action: 'click', selector: '.accordion .collapsed' }
+  const acceptCookies = { action: 'click', selector: '.cookies .accept', optional: true }
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog',
+        actions: [loadMore],
+        follow: [
+          {
+            selector: '.view-articles a',
+            to: 'content/blog',
+            actions: [acceptCookies],
+            maxPagesToCrawl: 10
+          }
+        ]
+      }
+    ],
+    actions: {
+      'content/*': [expand]
+    }
+  })
+  await scraps.createInitialOps(scraps.config.start[0])
+  const crawlOp = scraps.operations.getItems('https://www.example.com/blog')[0]
+  await scraps.queueFoundUrls(['/blog/my-post'], crawlOp, 'https://www.example.com/blog')
+
+  t.deepEqual([loadMore], scraps.getPageActions('https://www.example.com/blog'))
+  t.deepEqual([acceptCookies, expand], scraps.getPageActions('https://www.example.com/blog/my-post'))
+})
+
+test('9. Request blocking must depend on destinations', t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      cacheWithScreenshot: false,
+      requestBlocking: {
+        resourceTypes: ['image', 'font'],
+        destinations: {
+          'content/blog': { resourceTypes: ['font'] },
+          'content/page': false
+        }
+      }
+    },
+    start: [{ url: 'https://www.example.com/blog' }]
+  })
+  scraps.operations.addItem('https://www.example.com/blog', { type: 'crawl', to: 'content/blog' })
+  scraps.operations.addItem('https://www.example.com/blog/my-post', { type: 'extract', to: 'content/blog' })
+  scraps.operations.addItem('https://www.example.com/about', { type: 'extract', to: 'content/page' })
+  scraps.operations.addItem('https://www.example.com/blog/cached', { type: 'extract', to: 'content/blog', cache: true })
+
+  t.deepEqual({ resourceTypes: ['image', 'font'] }, scraps.getRequestBlocking('https://www.example.com/blog'))
+  t.deepEqual({ resourceTypes: ['font'] }, scraps.getRequestBlocking('https://www.example.com/blog/my-post'))
+  t.false(scraps.getRequestBlocking('https://www.example.com/about'))
+  t.false(scraps.getRequestBlocking('https://www.example.com/blog/cached'))
+})
+
+test('10. Extract a simple component without a browser (static engine)', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      journal: false,
+      engine: 'static'
+    },
+    start: [
+      {
+        url: urls.components,
+        extract: [
+          {
+            selector: 'body > .container',
+            extract: 'components',
+            as: 'entity.content'
+          }
+        ]
+      }
+    ],
+    components: [
+      {
+        selector: '.bs-docs-section:nth-child(3) .col-lg-7 .btn-primary.btn-lg',
+        extract: 'text',
+        as: 'component.Button.text'
+      }
+    ]
+  })
+
+  let entity = null
+  scraps.on('store.extraction.result', extracted => { entity = extracted })
+  await scraps.run()
+
+  t.is(undefined, scraps.browser)
+  t.is('Button', entity.content[0].c)
+  t.is('Large button', entity.content[0].props.text)
+})
+
+test('11. Device profiles must apply to the pages links lead to', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false,
+      profiles: {
+        'mobile-fr': { device: 'iPhone X', locale: 'fr-FR', timezone: 'Europe/Paris' }
+      }
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog',
+        follow: [
+          {
+            selector: '.view-articles a',
+            to: 'content/blog',
+            profile: 'mobile-fr',
+            maxPagesToCrawl: 10
+          }
+        ]
+      }
+    ]
+  })
+  await scraps.createInitialOps(scraps.config.start[0])
+  const crawlOp = scraps.operations.getItems('https://www.example.com/blog')[0]
+  await scraps.queueFoundUrls(['/blog/my-post'], crawlOp, 'https://www.example.com/blog')
+
+  t.is('desktop', scraps.getPageProfile('https://www.example.com/blog'))
+  t.is('mobile-fr', scraps.getPageProfile('https://www.example.com/blog/my-post'))
+
+  const profile = scraps.getProfile('mobile-fr')
+  t.is(375, profile.viewport.width)
+  t.true(profile.viewport.isMobile)
+  t.regex(profile.userAgent, /iPhone/)
+  t.is('Europe/Paris', profile.timezone)
+  t.deepEqual({ name: 'desktop', viewport: { width: 1280, height: 800 } }, scraps.getProfile('desktop'))
+  t.throws(() => scraps.getProfile('unknown'), { message: /Unknown device profile/ })
+})
+
+test('12. Stopping must not close a browser we only connected to', async t => {
+  const scraps = new SimpleScraps({ start: [{ url: 'https://www.example.com/blog' }] })
+  const calls = []
+  const browser = {
+    close: async () => calls.push('close'),
+    disconnect: () => calls.push('disconnect')
+  }
+
+  scraps.browser = browser
+  await scraps.stop()
+  t.deepEqual(['disconnect'], calls)
+
+  scraps.ownsBrowser = true
+  await scraps.stop()
+  t.deepEqual(['disconnect', 'close'], calls)
+})
+
+test('13. Entry points in different browser contexts must be crawled separately', async t => {
+  const follow = [{ selector: '.view-articles a', to: 'content/blog', maxPagesToCrawl: 1 }]
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false,
+      isolateEntryPoints: true
+    },
+    start: [
+      { url: 'https://www.example.com/blog', context: 'account-a', follow },
+      { url: 'https://www.example.com/blog', context: 'account-b', follow },
+      { url: 'https://www.example.com/news', follow }
+    ]
+  })
+  t.deepEqual(['account-a', 'account-b', 'entry-point-3'], scraps.getContexts())
+
+  for (let i = 0; i < scraps.config.start.length; i++) {
+    scraps.config.start[i].context = scraps.getEntryPointContext(scraps.config.start[i], i)
+    await scraps.createInitialOps(scraps.config.start[i])
+  }
+  const crawlOp = scraps.operations.getItems('[account-b] https://www.example.com/blog')[0]
+  await scraps.queueFoundUrls(['/blog/my-post', '/blog/other-post'], crawlOp, 'https://www.example.com/blog')
+
+  t.true(scraps.isWorkerKey('[account-b] https://www.example.com/blog/my-post', { engine: 'browser', context: 'account-b' }))
+  t.false(scraps.isWorkerKey('[account-b] https://www.example.com/blog/my-post', { engine: 'browser', context: 'account-a' }))
+  t.deepEqual(
+    { url: 'https://www.example.com/blog/my-post', context: 'account-b' },
+    scraps.parseQueueKey('[account-b] https://www.example.com/blog/my-post')
+  )
+  t.deepEqual({ url: 'https://www.example.com/news', context: null }, scraps.parseQueueKey('https://www.example.com/news'))
+
+  // Crawling limits apply by context.
+  const accountA = scraps.operations.getItems('[account-a] https://www.example.com/blog')[0]
+  await scraps.queueFoundUrls(['/blog/my-post'], accountA, 'https://www.example.com/blog')
+  t.is(1, scraps.operations.getItemsCount('[account-a] https://www.example.com/blog/my-post'))
+  t.is(0, scraps.operations.getItemsCount('[account-b] https://www.example.com/blog/other-post'))
+})
+
+test('14. Pages that crashed must be replaced, and their operations queued again', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      journal: false,
+      maxParallelPages: 1
+    },
+    start: [{ url: 'https://www.example.com/blog' }]
+  })
+  scraps.browser = { isConnected: () => true }
+
+  // Mocks a page that crashes while extracting links the first time.
+  let crashed = false
+  let recycled = 0
+  const linksFound = []
+  const pageWorker = {
+    engine: 'browser',
+    context: null,
+    isHealthy: () => !crashed,
+    shouldRecycle: async () => false,
+    recycle: async () => {
+      crashed = false
+      recycled++
+    },
+    hasProfile: () => true,
+    setProfile: async () => {},
+    setRequestBlocking: async () => {},
+    open: async () => ({ status: () => 200, headers: () => ({}) }),
+    page: {
+      url: () => 'https://www.example.com/blog',
+      evaluateOnNewDocument: async () => {},
+      $$eval: async () => {
+        if (!recycled) {
+          crashed = true
+          throw Error('Protocol error (Runtime.callFunctionOn): Target closed.')
+        }
+        linksFound.push('/blog/my-post')
+        return []
+      }
+    }
+  }
+  let crashedUrl = null
+  scraps.on('page.crashed', (error, url) => {
+    t.regex(error.message, /Target closed/)
+    crashedUrl = url
+  })
+
+  const op = { type: 'crawl', selector: '.view-articles a', to: 'content/blog' }
+  scraps.operations.addItem('https://www.example.com/blog', op)
+  await scraps.work(pageWorker)
+
+  t.is('https://www.example.com/blog', crashedUrl)
+  t.is(1, recycled)
+  t.is(1, linksFound.length)
+  t.is(0, scraps.getFailures().length)
+})
+
+test('15. Pages must be processed in child processes (cluster mode)', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      journal: false,
+      engine: 'static',
+      maxParallelPages: 1,
+      clusterWorkers: 2
+    },
+    start: [
+      {
+        url: urls.components,
+        extract: [
+          {
+            selector: 'body > .container',
+            extract: 'components',
+            as: 'entity.content'
+          }
+        ]
+      }
+    ],
+    components: [
+      {
+        selector: '.bs-docs-section:nth-child(3) .col-lg-7 .btn-primary.btn-lg',
+        extract: 'text',
+        as: 'component.Button.text'
+      }
+    ]
+  })
+
+  let entity = null
+  let url = null
+  scraps.on('store.extraction.result', (extracted, entityType, bundle, pageUrl) => {
+    entity = extracted
+    url = pageUrl
+  })
+  await scraps.run()
+
+  t.is(2, scraps.cluster.children.length)
+  t.is(scraps.normalizeUrl(urls.components), url)
+  t.is('Button', entity.content[0].c)
+  t.is('Large button', entity.content[0].props.text)
+  t.false(scraps.cluster.children.some(child => child.alive))
+})
+
+test('16. Dry runs must report the URLs to queue and the extraction configs matches', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-scraps-'))
+  const pages = {
+    'index.html': '<a class="post" href="a.html">A</a><a class="post" href="b.html">B</a><a class="post" href="c.html">C</a><a class="pager" href="page-2.html">2</a>',
+    'page-2.html': '<a class="post" href="d.html">D</a>',
+    'a.html': '<h1>A</h1><div class="card"><h2>Card 1</h2></div><div class="card"><h2>Card 2</h2></div>',
+    'b.html': '<h1>B</h1>'
+  }
+  Object.keys(pages).forEach(file => fs.writeFileSync(path.join(dir, file), `<html><body>${pages[file]}</body></html>`))
+  const url = file => 'file://' + path.join(dir, file)
+
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      engine: 'static',
+      sessionName: 'dry-run-test'
+    },
+    start: [
+      {
+        url: url('index.html'),
+        follow: [
+          { selector: '.post', to: 'content/post', maxPagesToCrawl: 2 },
+          { selector: '.pager', to: 'follow', maxPagesToCrawl: 1 }
+        ]
+      }
+    ],
+    'content/post': [
+      { selector: 'h1', extract: 'text', as: 'entity.title' },
+      { selector: '.missing', extract: 'text', as: 'entity.subtitle' }
+    ],
+    components: [
+      {
+        selector: '.card',
+        extract: [{ selector: '> h2', extract: 'text', as: 'component.Card.title' }],
+        as: 'component.Card'
+      },
+      {
+        select: "[...document.querySelectorAll('.card h2')].map(e => e.parentElement)",
+        extract: [{ selector: '> h2', extract: 'text', as: 'component.CardParent.title' }],
+        as: 'component.CardParent'
+      }
+    ]
+  })
+  scraps.on('store.extraction.result', () => t.fail())
+  const plan = await scraps.dryRun(1)
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+  fs.rmdirSync(dir)
+
+  const posts = plan.blocks.find(block => block.to === 'content/post')
+  t.deepEqual([url('a.html'), url('b.html')], posts.queued)
+  t.deepEqual([url('c.html'), url('d.html')], posts.cut)
+  t.deepEqual([{ url: url('index.html'), found: 3 }, { url: url('page-2.html'), found: 1 }], posts.pages)
+  t.deepEqual([url('page-2.html')], plan.blocks.find(block => block.to === 'follow').queued)
+
+  t.is(1, plan.samples['content/post'].length)
+  const sample = plan.samples['content/post'][0]
+  t.is(url('a.html'), sample.url)
+  t.deepEqual([1, 0], sample.extract.map(config => config.count))
+  t.is(2, sample.nested[0].count)
+  t.is(2, sample.nested[0].extract[0].count)
+  t.is(2, sample.nested[1].count)
+  t.is(2, sample.nested[1].extract[0].count)
+  t.false(fs.existsSync(scraps.journal.getFilePath()))
+  t.false(fs.existsSync(scraps.getFailuresFilePath()))
+})
+
+test('17. Entry points must be queued under their normalized URL', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog/?utm_source=newsletter',
+        follow: [{ selector: '.view-articles a', to: 'content/blog' }]
+      }
+    ]
+  })
+  scraps.processQueue = async () => {}
+  await scraps.start()
+
+  t.deepEqual(['https://www.example.com/blog'], scraps.operations.getKeys())
+  t.deepEqual(['https://www.example.com/blog'], scraps.crawledUrls)
+  // The config object must be left untouched.
+  t.is('https://www.example.com/blog/?utm_source=newsletter', scraps.config.start[0].url)
+  t.false('context' in scraps.config.start[0])
+
+  const invalid = new SimpleScraps({
+    settings: { journal: false },
+    start: [{ url: 'mailto:contact@example.com', extract: [] }]
+  })
+  invalid.processQueue = async () => {}
+  await t.throwsAsync(invalid.start(), { message: /Invalid start url 'mailto:contact@example.com'/ })
+})
+
+test('18. Links skipped by a follow block must remain available to the others', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false
+    },
+    start: [
+      {
+        url: 'https://www.example.com/list',
+        follow: [
+          { selector: 'a', to: 'content/blog', include: '/blog/**', maxPagesToCrawl: 10 },
+          { selector: '.pager a', to: 'follow', maxPagesToCrawl: 10 }
+        ]
+      }
+    ]
+  })
+  const skipped = []
+  scraps.on('skip.url', (url, reason) => skipped.push(`${reason} ${url}`))
+  scraps.processQueue = async () => {}
+  await scraps.start()
+
+  const [blogOp, pagerOp] = scraps.operations.getItems('https://www.example.com/list')
+  await scraps.queueFoundUrls(['/blog/my-post', '/list?page=2'], blogOp, 'https://www.example.com/list')
+  await scraps.queueFoundUrls(['/list?page=2'], pagerOp, 'https://www.example.com/list')
+
+  t.deepEqual(['excluded https://www.example.com/list?page=2'], skipped)
+  t.deepEqual(
+    ['https://www.example.com/list', 'https://www.example.com/blog/my-post', 'https://www.example.com/list?page=2'],
+    scraps.operations.getKeys()
+  )
+  t.is('crawl', scraps.operations.getItems('https://www.example.com/list?page=2')[0].type)
+})
+
+test('19. Links must be queued with their depth and referrer, up to maxDepth', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      respectRobots: false
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog',
+        follow: [
+          { selector: '.post a', to: 'content/blog', maxDepth: 1, maxPagesToCrawl: 10 },
+          { selector: '.pager a', to: 'follow', maxPagesToCrawl: 10 }
+        ]
+      }
+    ]
+  })
+  const skipped = []
+  scraps.on('skip.url', (url, reason) => skipped.push(`${reason} ${url}`))
+  scraps.processQueue = async () => {}
+  await scraps.start()
+
+  const [postOp, pagerOp] = scraps.operations.getItems('https://www.example.com/blog')
+  await scraps.queueFoundUrls(['/blog?page=2'], pagerOp, 'https://www.example.com/blog')
+  const nextPostOp = scraps.operations.getItems('https://www.example.com/blog?page=2')[0]
+  t.is(1, nextPostOp.depth)
+  t.is('https://www.example.com/blog', nextPostOp.referrer)
+
+  // The same link is found deeper first, then from the entry point.
+  await scraps.queueFoundUrls(['/blog/my-post'], nextPostOp, 'https://www.example.com/blog?page=2')
+  t.deepEqual(['depth https://www.example.com/blog/my-post'], skipped)
+  await scraps.queueFoundUrls(['/blog/my-post'], postOp, 'https://www.example.com/blog')
+  const extractOp = scraps.operations.getItems('https://www.example.com/blog/my-post')[0]
+  t.is('extract', extractOp.type)
+  t.is(1, extractOp.depth)
+  t.is('https://www.example.com/blog', extractOp.referrer)
+})
+
+test('20. Extracted entities must get how their page was discovered', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-scraps-'))
+  fs.writeFileSync(path.join(dir, 'index.html'), '<html><body><a class="post" href="a.html">A</a></body></html>')
+  fs.writeFileSync(path.join(dir, 'a.html'), '<html><body><h1>A</h1></body></html>')
+  const url = file => 'file://' + path.join(dir, file)
+
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      journal: false,
+      engine: 'static',
+      entityMetadataKey: '_meta'
+    },
+    start: [
+      {
+        url: url('index.html'),
+        follow: [{ selector: '.post', to: 'content/post', maxPagesToCrawl: 1 }]
+      }
+    ],
+    'content/post': [
+      { selector: 'h1', extract: 'text', as: 'entity.title' }
+    ]
+  })
+  let entity = null
+  scraps.on('store.extraction.result', extracted => { entity = extracted })
+  await scraps.run()
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+  fs.rmdirSync(dir)
+
+  t.is('A', entity.title)
+  t.deepEqual({ url: url('a.html'), depth: 1, referrer: url('index.html') }, entity._meta)
+})
+
+test('21. Parallel pages must pull each queued URL exactly once', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      journal: false,
+      crawlDelay: false,
+      engine: 'static',
+      maxParallelPages: 3
+    },
+    start: [{ url: 'https://www.example.com/blog' }]
+  })
+  const pageUrls = [...Array(10).keys()].map(i => `https://www.example.com/blog/${i}`)
+  pageUrls.forEach(url => {
+    scraps.operations.addItem(url, { type: 'crawl', to: 'content/blog' })
+    scraps.operations.addItem(url, { type: 'extract', to: 'content/blog' })
+  })
+
+  // Pages are mocked : each op is only recorded.
+  let closed = 0
+  scraps.pages = [...Array(3).keys()].map(() => ({
+    engine: 'static',
+    context: null,
+    isHealthy: () => true,
+    shouldRecycle: async () => false,
+    hasProfile: () => true,
+    page: { close: async () => { closed++ } }
+  }))
+  const processed = []
+  const busyPages = new Set()
+  let maxBusyPages = 0
+  scraps.process = async (url, pageWorker) => {
+    t.false(busyPages.has(pageWorker))
+    busyPages.add(pageWorker)
+    maxBusyPages = Math.max(maxBusyPages, busyPages.size)
+    const key = scraps.getQueueKey(url, pageWorker.context)
+    while (scraps.operations.getItemsCount(key)) {
+      const op = scraps.operations.getItem(key)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      processed.push(`${op.type} ${url}`)
+    }
+    busyPages.delete(pageWorker)
+  }
+
+  await Promise.all(scraps.pages.map(pageWorker => scraps.work(pageWorker)))
+  await scraps.stop()
+
+  const expected = pageUrls.map(url => [`crawl ${url}`, `extract ${url}`]).flat()
+  t.deepEqual(expected.sort(), [...processed].sort())
+  t.is(3, maxBusyPages)
+  t.is(0, scraps.operations.getKeysCount())
+  t.is(0, scraps.operations.getLockedKeysCount())
+  t.is(3, closed)
+})
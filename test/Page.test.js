@@ -8,6 +8,7 @@ const defaultConfig = require('../src/utils/default_config.js')
 // being tested here.
 const ScraperMock = {}
 ScraperMock.getSetting = (setting) => defaultConfig.setting(setting)
+ScraperMock.getBrowserContext = async () => ScraperMock.browser.defaultBrowserContext()
 
 // This runs before all tests.
 test.before(async t => {
@@ -26,23 +27,61 @@ test('1. Opening a URL', async t => {
   t.is(urls.blog, pageWorker.page.url())
 })
 
+test('2. Infinite scroll must stop when no new items appear', async t => {
+  const pageWorker = new Page(ScraperMock)
+
+  // Mocks a page where each scroll loads 10 more items, up to 35 items.
+  let itemsCount = 10
+  pageWorker.page = {
+    $$eval: async () => itemsCount,
+    evaluate: async () => { itemsCount = Math.min(itemsCount + 10, 35) }
+  }
+  t.is(35, await pageWorker.scrollToEnd({ selector: '.items a', delay: 0 }))
+
+  itemsCount = 10
+  t.is(20, await pageWorker.scrollToEnd({ selector: '.items a', delay: 0, maxItems: 15 }))
+})
+
+test('3. Requests must be blocked by resource type and URL pattern', t => {
+  const pageWorker = new Page(ScraperMock)
+  t.false(pageWorker.isBlocked('https://www.example.com/logo.png', 'image'))
+
+  pageWorker.requestBlocking = {
+    resourceTypes: ['image', 'font'],
+    patterns: ['https://*.doubleclick.net/**', '**/analytics.js'],
+    allow: ['https://cdn.example.com/**']
+  }
+  t.true(pageWorker.isBlocked('https://www.example.com/logo.png', 'image'))
+  t.true(pageWorker.isBlocked('https://ad.doubleclick.net/ad.js', 'script'))
+  t.true(pageWorker.isBlocked('https://www.example.com/js/analytics.js', 'script'))
+  t.false(pageWorker.isBlocked('https://www.example.com/js/app.js', 'script'))
+  t.false(pageWorker.isBlocked('https://cdn.example.com/logo.png', 'image'))
+})
+
+test('4. The JS heap size must only be measured every few navigations', async t => {
+  const pageWorker = new Page(ScraperMock)
+
+  // Mocks a page using more memory than allowed.
+  let measures = 0
+  pageWorker.page = {
+    metrics: async () => {
+      measures++
+      return { JSHeapUsedSize: 1024 * 1024 * 1024 }
+    }
+  }
+  const interval = defaultConfig.setting('pageHeapCheckInterval')
+  for (let i = 1; i < interval; i++) {
+    pageWorker.navigations = i
+    t.false(await pageWorker.shouldRecycle())
+  }
+  pageWorker.navigations = interval
+  t.true(await pageWorker.shouldRecycle())
+  t.is(1, measures)
+})
+
 // TODO test common crawling issues :
 //  - Position:fixed (test if this does not make screenshots partially
 //    unreadable, and if so, convert to absolute positions ?)
 //  - Timeouts (+ closing modals, popups) :
 //    cf. https://stackoverflow.com/a/48865555/2592338
 //    cf. https://github.com/bargoldi/time-events-manager
-//  - Infinite scroll :
-//    cf. https://intoli.com/blog/scrape-infinite-scroll/
-//    example :
-//      let items = [];
-//      try {
-//        let previousHeight;
-//        while (items.length < itemTargetCount) {
-//          items = await page.evaluate(extractItems);
-//          previousHeight = await page.evaluate('document.body.scrollHeight');
-//          await page.evaluate('window.scrollTo(0, document.body.scrollHeight)');
-//          await page.waitForFunction(`document.body.scrollHeight > ${previousHeight}`);
-//          await page.waitFor(scrollDelay);
-//        }
-//      } catch(e) {}
@@ -108,3 +108,19 @@ test('5. A loop on the keys must correctly end when all items from all keys are
   t.is(0, queue.getItemsCount(additionalKeys[0]))
   t.is(0, queue.getItemsCount(additionalKeys[1]))
 })
+
+test('6. Locked keys must not be returned to other consumers until unlocked', t => {
+  const queue = new Queue()
+  queue.addItem(key, { hello: 'world' })
+  additionalKeys.forEach(k => queue.addItem(k, { hello: 'world' }))
+
+  t.is(key, queue.lockNextKey())
+  t.is(additionalKeys[0], queue.lockNextKey())
+  t.is(additionalKeys[1], queue.lockNextKey(k => k !== additionalKeys[0]))
+  t.is(undefined, queue.lockNextKey())
+  t.is(3, queue.getLockedKeysCount())
+
+  queue.unlockKey(key)
+  t.is(key, queue.lockNextKey())
+  t.is(3, queue.getLockedKeysCount())
+})
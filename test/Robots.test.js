@@ -0,0 +1,77 @@
+const test = require('ava')
+const Robots = require('../src/Robots')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use a custom object to mock '../src/Main' class, which is not the one
+// being tested here.
+const createMainMock = (settings) => {
+  return {
+    getSetting: (setting) => {
+      if (settings && setting in settings) {
+        return settings[setting]
+      }
+      return defaultConfig.setting(setting)
+    }
+  }
+}
+
+const robotsTxt = `
+# Comments are ignored.
+User-agent: *
+Disallow: /admin
+Disallow: /*.pdf$
+Allow: /admin/public
+Crawl-delay: 2
+
+User-agent: SimpleScraps
+User-agent: OtherBot
+Disallow: /blog/drafts
+Crawl-delay: 5
+`
+
+test('1. Rules of the generic group must apply when no specific group matches', t => {
+  const robots = new Robots(createMainMock())
+  const rules = robots.parse(robotsTxt, robots.getProductToken())
+  t.is(2, rules.crawlDelay)
+  t.false(robots.evaluate(rules, '/admin/settings'))
+  t.true(robots.evaluate(rules, '/admin/public/page'))
+  t.false(robots.evaluate(rules, '/files/document.pdf'))
+  t.true(robots.evaluate(rules, '/files/document.pdf?download=1'))
+  t.true(robots.evaluate(rules, '/blog/drafts/test'))
+})
+
+test('2. Rules of the group matching the user agent product token must apply', t => {
+  const robots = new Robots(createMainMock({ userAgent: 'SimpleScraps/1.0 (+https://example.com)' }))
+  const rules = robots.parse(robotsTxt, robots.getProductToken())
+  t.is('simplescraps', robots.getProductToken())
+  t.is(5, rules.crawlDelay)
+  t.false(robots.evaluate(rules, '/blog/drafts/test'))
+  t.true(robots.evaluate(rules, '/admin/settings'))
+})
+
+test('3. URLs not using the HTTP(S) protocol must always be allowed', async t => {
+  const robots = new Robots(createMainMock())
+  t.true(await robots.isAllowed('file:///path/to/static/Blog.html'))
+})
+
+test('4. User agents must match the product token exactly (case-insensitive)', t => {
+  const robots = new Robots(createMainMock({ userAgent: 'SimpleScrapsBot/1.0' }))
+  const rules = robots.parse(robotsTxt, robots.getProductToken())
+  t.is(2, rules.crawlDelay)
+  t.true(robots.evaluate(rules, '/blog/drafts/test'))
+  t.is(5, robots.parse(robotsTxt.replace('SimpleScraps', 'simplescraps'), 'simplescraps').crawlDelay)
+})
+
+test('5. Unreachable robots.txt rules must expire', async t => {
+  const robots = new Robots(createMainMock({ robotsRetryDelay: 0 }))
+  let fetched = 0
+  robots.fetch = async () => {
+    fetched++
+    return { rules: [{ allow: false, pattern: '/' }], crawlDelay: 0, unreachable: fetched === 1 }
+  }
+  t.false(await robots.isAllowed('https://www.example.com/blog'))
+  t.false(await robots.isAllowed('https://www.example.com/blog'))
+  t.is(2, fetched)
+  await robots.isAllowed('https://www.example.com/blog')
+  t.is(2, fetched)
+})
@@ -0,0 +1,35 @@
+const test = require('ava')
+const { urls } = require('./shared.js')
+const StaticPage = require('../src/StaticPage')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use a custom object to mock '../src/Main' class, which is not the one
+// being tested here.
+const ScraperMock = {}
+ScraperMock.getSetting = (setting) => defaultConfig.setting(setting)
+
+test('1. Static pages must support the DOM selection methods', async t => {
+  const pageWorker = new StaticPage(ScraperMock)
+  await pageWorker.init()
+  const response = await pageWorker.open(urls.blog, { waitForSelector: 'head title' })
+
+  t.is(200, response.status())
+  t.is(urls.blog, pageWorker.page.url())
+  t.is('Blog Template · Bootstrap', await pageWorker.page.$eval('head title', e => e.textContent))
+  t.is(3, await pageWorker.page.$$eval('.blog-sidebar > .p-4:last-child a', items => items.length))
+  t.is(3, await pageWorker.page.evaluate("document.querySelectorAll('.blog-sidebar > .p-4:last-child a').length"))
+
+  // Class marking (e.g. for 'select' eval configs).
+  await pageWorker.page.evaluate(markerClass => {
+    document.querySelector('.blog-footer').classList.add(markerClass)
+  }, 'marked')
+  t.truthy(await pageWorker.page.$('.blog-footer.marked'))
+})
+
+test('2. Browser-only features must throw an error', async t => {
+  const pageWorker = new StaticPage(ScraperMock)
+  await pageWorker.init()
+  await pageWorker.open(urls.blog)
+  await t.throwsAsync(pageWorker.page.click('a'), { message: /does not support click\(\)/ })
+  await t.throwsAsync(pageWorker.open(urls.blog, { waitForSelector: '.missing' }))
+})
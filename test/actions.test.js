@@ -0,0 +1,66 @@
+const test = require('ava')
+const actions = require('../src/actions')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use custom objects to mock '../src/Main' and '../src/Page' classes, which
+// are not the ones being tested here.
+const MainMock = {}
+MainMock.getSetting = (setting) => defaultConfig.setting(setting)
+MainMock.errors = []
+MainMock.emit = (event, error) => MainMock.errors.push(error.message)
+
+// Mocks a page where the "Load more" button disappears after 3 clicks.
+const getPageWorkerMock = () => {
+  const page = { clicks: 0 }
+  page.url = () => 'https://www.example.com/blog'
+  page.waitForSelector = async (selector) => {
+    if (selector === '.missing') {
+      throw Error(`waiting for selector "${selector}" failed`)
+    }
+  }
+  page.$eval = async (selector, fn) => {
+    if (page.clicks >= 3) {
+      throw Error(`Error: failed to find element matching selector "${selector}"`)
+    }
+    return true
+  }
+  page.click = async () => { page.clicks++ }
+  return { page }
+}
+
+test('1. Actions must repeat until their selector is gone', async t => {
+  const pageWorker = getPageWorkerMock()
+  await actions.run(pageWorker, [
+    { action: 'click', selector: '.load-more', repeatUntilGone: true }
+  ], MainMock)
+  t.is(3, pageWorker.page.clicks)
+})
+
+test('2. Only optional actions may fail', async t => {
+  const pageWorker = getPageWorkerMock()
+  await actions.run(pageWorker, [
+    { action: 'click', selector: '.missing', optional: true }
+  ], MainMock)
+  t.is(1, MainMock.errors.length)
+
+  await t.throwsAsync(
+    actions.run(pageWorker, [{ action: 'click', selector: '.missing' }], MainMock),
+    { message: /^Action 'click' failed/ }
+  )
+  await t.throwsAsync(
+    actions.run(pageWorker, [{ action: 'unknown' }], MainMock),
+    { message: /Unknown action 'unknown'/ }
+  )
+})
+
+test('3. Scripts must not exceed the action timeout, unlike explicit delays', async t => {
+  const pageWorker = getPageWorkerMock()
+  pageWorker.page.evaluate = () => new Promise(resolve => setTimeout(resolve, 1000))
+  await t.throwsAsync(
+    actions.run(pageWorker, [{ action: 'evaluate', script: "fetch('/slow')", timeout: 10 }], MainMock),
+    { message: /timeout 10ms exceeded/ }
+  )
+  const start = Date.now()
+  await actions.run(pageWorker, [{ action: 'wait', delay: 50, timeout: 10 }], MainMock)
+  t.true(Date.now() - start >= 45)
+})
@@ -0,0 +1,101 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { urls } = require('./shared.js')
+const { main, parseArgs, listSessions, exitCodes } = require('../src/cli')
+
+// Collects what commands print.
+const createIo = () => {
+  const io = { out: '', err: '' }
+  io.stdout = { write: text => { io.out += text } }
+  io.stderr = { write: text => { io.err += text } }
+  return io
+}
+
+test('1. Arguments must be parsed into options and settings overrides', t => {
+  const parsed = parseArgs(['run', 'blog.json', '--json', '--crawlDelay', 'false', '--maxParallelPages=2', '--engine', 'static'])
+  t.is('run', parsed.command)
+  t.deepEqual(['blog.json'], parsed.args)
+  t.deepEqual({ json: true }, parsed.options)
+  t.deepEqual({ crawlDelay: false, maxParallelPages: 2, engine: 'static' }, parsed.settings)
+})
+
+test('2. Invalid commands and options must exit with the usage error code', async t => {
+  const io = createIo()
+  t.is(exitCodes.usage, await main(['crawl', 'blog.json'], io))
+  t.true(io.err.startsWith("Unknown command 'crawl'"))
+  t.is(exitCodes.usage, await main(['run', 'blog.json', '--maxParalelPages', '2'], createIo()))
+  t.is(exitCodes.usage, await main(['run', 'missing.json'], createIo()))
+})
+
+test('3. Sessions must be listed with the state of their last run', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-scraps-'))
+  fs.writeFileSync(path.join(dir, 'blog.json'), JSON.stringify({ start: [{ url: 'https://www.example.com/blog' }] }))
+  fs.writeFileSync(path.join(dir, 'shop.json'), JSON.stringify({ start: [{ url: 'https://shop.example.com' }] }))
+  fs.writeFileSync(path.join(dir, 'www-example-com-blog.failed.json'), '[]')
+  fs.writeFileSync(path.join(dir, 'www-example-com-blog.state'), JSON.stringify({
+    name: 'www-example-com-blog',
+    updatedAt: '2020-10-01T10:00:00.000Z',
+    finished: false,
+    queue: { 'https://www.example.com/blog/a': [{ type: 'extract' }] },
+    failures: {}
+  }))
+
+  const sessions = listSessions(dir)
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+  fs.rmdirSync(dir)
+
+  t.is(2, sessions.length)
+  t.is('interrupted', sessions[0].status)
+  t.is(1, sessions[0].queued)
+  t.is(path.join(dir, 'blog.json'), sessions[0].config)
+  t.is('shop-example-com', sessions[1].name)
+  t.is('new', sessions[1].status)
+})
+
+test('4. Extracting a single URL must print the result on stdout', async t => {
+  const io = createIo()
+  const code = await main(['extract', urls.article, '--config', 'test/config/components_nested.json', '--engine', 'static', '--json'], io)
+  const result = JSON.parse(io.out)
+
+  t.is(exitCodes.success, code)
+  t.is('content', result.entityType)
+  t.is('article', result.bundle)
+  t.true(result.entity.content.some(component => component.c === 'NavTabs'))
+})
+
+test('5. Config problems must be listed with the usage error code', async t => {
+  const file = path.join(os.tmpdir(), `simple-scraps-invalid-${process.pid}.json`)
+  fs.writeFileSync(file, JSON.stringify({
+    start: [{ url: 'https://www.example.com', follow: [{ selector: 'a', to: 'content/blog' }] }]
+  }))
+  const io = createIo()
+  const code = await main(['validate', file, '--json'], io)
+  fs.unlinkSync(file)
+
+  t.is(exitCodes.usage, code)
+  t.is('$.start[0].follow[0].to', JSON.parse(io.out)[0].path)
+})
+
+test('6. A single URL must be extracted using the configs of the destination given by --to', async t => {
+  const file = path.join(os.tmpdir(), `simple-scraps-to-${process.pid}.json`)
+  fs.writeFileSync(file, JSON.stringify({
+    start: [{ url: 'https://www.example.com', follow: [{ selector: 'a', to: 'content/blog' }] }],
+    'content/*': [{ selector: 'h1', extract: 'text', as: 'entity.title' }]
+  }))
+  const io = createIo()
+  const code = await main(['extract', urls.article, '--config', file, '--to', 'content/blog', '--engine', 'static', '--json'], io)
+  const missingIo = createIo()
+  const missingCode = await main(['extract', urls.article, '--config', file, '--engine', 'static'], missingIo)
+  const unknownCode = await main(['extract', urls.article, '--config', file, '--to', 'taxonomy/tag', '--engine', 'static'], createIo())
+  fs.unlinkSync(file)
+
+  t.is(exitCodes.success, code)
+  const result = JSON.parse(io.out)
+  t.is('blog', result.bundle)
+  t.truthy(result.entity.title)
+  t.is(exitCodes.usage, missingCode)
+  t.true(missingIo.err.includes("'--to'"))
+  t.is(exitCodes.usage, unknownCode)
+})
@@ -0,0 +1,80 @@
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { urls } = require('./shared.js')
+const SimpleScraps = require('../src/Main')
+const { load, resolve } = require('../src/config')
+const { validate } = require('../src/validate')
+
+test('1. References must be replaced by their content', t => {
+  const config = resolve({
+    start: [{ $ref: 'test/config/components_nested.json#/start/0', url: urls.article }],
+    components: [
+      { $ref: 'test/config/components_nested.json#/components' },
+      { selector: 'img', extract: 'element', emit: 'extract.media.image', as: 'component.Image.src' }
+    ]
+  })
+
+  t.is(urls.article, config.start[0].url)
+  t.is('content/article', config.start[0].is)
+  t.is(6, config.components.length)
+  t.is('component.Lede.text', config.components[0].as)
+  t.is('component.Image.src', config.components[5].as)
+
+  t.throws(() => resolve({ components: [{ $ref: 'test/config/components_nested.json#/missing' }] }), {
+    message: "Cannot resolve $ref 'test/config/components_nested.json#/missing' : 'missing' was not found"
+  })
+})
+
+test('2. Extending configs must override extraction configs by their "as" key', t => {
+  const base = require('./config/components_nested.json')
+  const config = load('test/config/components_extended.yml')
+
+  t.deepEqual(base.start, config.start)
+  t.deepEqual({ crawlDelay: false, journal: false }, config.settings)
+  t.is(base.components.length, config.components.length)
+
+  const card = config.components.find(component => component.as === 'component.Card')
+  t.is('> .card-body > h4', card.extract[1].selector)
+  t.is('text_single', card.extract[1].extract)
+
+  const navTabs = config.components.find(component => component.as === 'component.NavTabs')
+  t.false('fallback' in navTabs.extract[1])
+  t.true('fallback' in base.components[1].extract[1])
+})
+
+test('3. Circular references must throw an error', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-scraps-'))
+  fs.writeFileSync(path.join(dir, 'a.yml'), 'extends: b.json\n')
+  fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ components: [{ $ref: 'a.yml' }] }))
+
+  const error = t.throws(() => load(path.join(dir, 'a.yml')))
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+  fs.rmdirSync(dir)
+
+  t.true(error.message.startsWith('Circular config reference'))
+})
+
+test('4. JS config modules may use functions for "select" and "element"', async t => {
+  const scraps = SimpleScraps.fromFile('test/config/components_functions.js')
+  scraps.setSetting('engine', 'static')
+  scraps.config.start[0].url = urls.article
+
+  let entity = null
+  scraps.on('store.extraction.result', extracted => { entity = extracted })
+  await scraps.run()
+
+  t.is('h1', entity.heading_tag)
+  t.is(2, entity.content.length)
+  t.is('Lede', entity.content[0].c)
+  t.is('The content of this article contains nested components for tests.', entity.content[1].props.text)
+})
+
+test('5. Functions must be rejected in cluster mode', t => {
+  const config = load('test/config/components_functions.js')
+  config.settings.clusterWorkers = 2
+  const problems = validate(config)
+
+  t.deepEqual(['$.start[0].extract[1].element', '$.components[0].select'], problems.map(problem => problem.path))
+})
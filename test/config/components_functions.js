@@ -0,0 +1,34 @@
+// JS config modules may use functions for the 'select' and 'element' keys of
+// extraction configs. They run in the page, so they can't use variables from
+// this module scope.
+module.exports = {
+  settings: {
+    crawlDelay: false,
+    journal: false
+  },
+  start: [
+    {
+      $ref: 'components_nested.json#/start/0',
+      extract: [
+        {
+          selector: 'body > main',
+          extract: 'components',
+          as: 'entity.content'
+        },
+        {
+          selector: 'header.jumbotron h1',
+          extract: 'element',
+          element: items => items.map(item => item.tagName.toLowerCase()),
+          as: 'entity.heading_tag'
+        }
+      ]
+    }
+  ],
+  components: [
+    {
+      select: () => [...document.querySelectorAll('header.jumbotron > .container > p')],
+      extract: 'text_single',
+      as: 'component.Lede.text'
+    }
+  ]
+}
@@ -0,0 +1,85 @@
+const test = require('ava')
+const { urls } = require('./shared.js')
+const SimpleScraps = require('../src/Main')
+
+test('1. Debug mode must trace the composite tree and annotate matched elements', async t => {
+  const scraps = new SimpleScraps({
+    settings: {
+      crawlDelay: false,
+      journal: false,
+      engine: 'static',
+      debugExtraction: true
+    },
+    start: [
+      {
+        url: urls.article,
+        extract: [
+          {
+            selector: 'body > main',
+            extract: 'components',
+            as: 'entity.content'
+          }
+        ]
+      }
+    ],
+    components: [
+      {
+        select: "[...document.querySelectorAll('.card')].filter(e => e.parentElement.getAttribute('id') !== 'accordion')",
+        extract: [
+          {
+            selector: '> .card-body > .card-subtitle',
+            extract: 'text_single',
+            as: 'component.Card.title',
+            fallback: {
+              selector: '> .card-body > .card-title'
+            }
+          }
+        ],
+        as: 'component.Card'
+      }
+    ]
+  })
+
+  let trace = null
+  let labels = null
+  let annotations = null
+  scraps.on('store.debug.trace', traced => { trace = traced })
+  scraps.on('store.debug.screenshot', async (url, pageWorker) => {
+    labels = await pageWorker.page.evaluate(() => [...document.querySelectorAll('[data-simple-scraps-debug]')]
+      .map(element => element.getAttribute('data-simple-scraps-debug')))
+  })
+  // Annotations must be removed once saved.
+  scraps.on('store.extraction.result', (entity, entityType, bundle, url, pageWorker) => {
+    annotations = pageWorker.page.evaluate(() => [...document.querySelectorAll('[data-simple-scraps-debug], .simple-scraps-debug-label, [style*=outline]')].length)
+  })
+  await scraps.run()
+  annotations = await annotations
+
+  t.is('rootComponent', trace.name)
+  t.is('entity.content', trace.steps[0].as)
+  t.true(trace.steps[0].processed)
+
+  // The 'select' config matches 2 cards : the component is replaced by 1
+  // component per card.
+  const cards = trace.children.filter(child => child.name === 'Card')
+  t.is(3, cards.length)
+  t.true(cards[0].replaced)
+  t.is(2, cards[0].count)
+  t.is(3, cards[0].markers.length)
+  t.is(1, cards[1].count)
+  t.is(cards[1].markers[0], cards[0].markers[1])
+
+  // The fallback selector is used when the step selector matches nothing.
+  const fallback = cards[1].steps.find(step => step.fallback)
+  t.is(2, cards[1].steps.length)
+  t.is(1, fallback.count)
+  t.is(0, cards[1].steps.find(step => !step.fallback).count)
+  t.deepEqual([
+    'lv.0 entity.content (components)',
+    `lv.1 Card (Leaf) .${cards[1].markers[0]}`,
+    'lv.1 component.Card.title (text_single) [fallback]',
+    `lv.1 Card (Leaf) .${cards[2].markers[0]}`,
+    'lv.1 component.Card.title (text_single) [fallback]'
+  ], labels)
+  t.is(0, annotations)
+})
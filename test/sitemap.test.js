@@ -0,0 +1,92 @@
+const test = require('ava')
+const http = require('http')
+const zlib = require('zlib')
+const sitemap = require('../src/sitemap')
+const defaultConfig = require('../src/utils/default_config.js')
+
+// We use a custom object to mock '../src/Main' class, which is not the one
+// being tested here.
+const MainMock = {}
+MainMock.getSetting = (setting) => defaultConfig.setting(setting)
+MainMock.skipped = []
+MainMock.skipUrl = (url, reason) => MainMock.skipped.push({ url, reason })
+
+const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>/sitemap-pages.xml</loc></sitemap>
+  <sitemap><loc>/sitemap-blog.xml.gz</loc></sitemap>
+  <sitemap><loc>/sitemap-missing.xml</loc></sitemap>
+</sitemapindex>`
+
+const sitemapPages = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://www.example.com/about?a=1&amp;b=2</loc></url>
+</urlset>`
+
+const sitemapBlog = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://www.example.com/blog/first-post</loc>
+    <lastmod>2020-08-25</lastmod>
+  </url>
+  <url>
+    <loc><![CDATA[https://www.example.com/blog/second-post]]></loc>
+  </url>
+</urlset>`
+
+// Serves the sitemaps locally.
+let server = null
+let baseUrl = ''
+
+test.before.cb(t => {
+  server = http.createServer((request, response) => {
+    switch (request.url) {
+      case '/sitemap.xml':
+        response.end(sitemapIndex)
+        break
+      case '/sitemap-pages.xml':
+        response.end(sitemapPages)
+        break
+      case '/sitemap-blog.xml.gz':
+        response.end(zlib.gzipSync(sitemapBlog))
+        break
+      default:
+        response.statusCode = 404
+        response.end()
+    }
+  })
+  server.listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}`
+    t.end()
+  })
+})
+
+test.after.always('cleanup', t => {
+  server.close()
+})
+
+test('1. URLs and their last modification date must be parsed', t => {
+  const entries = sitemap.parse(sitemapBlog, 'url')
+  t.is(2, entries.length)
+  t.is('https://www.example.com/blog/first-post', entries[0].url)
+  t.is('2020-08-25', entries[0].lastmod)
+  t.is('https://www.example.com/blog/second-post', entries[1].url)
+  t.is(undefined, entries[1].lastmod)
+})
+
+test('2. Nested and gzipped sitemaps must be followed, skipping unreachable ones', async t => {
+  const entries = await sitemap.getEntries(`${baseUrl}/sitemap.xml`, MainMock)
+  t.deepEqual(
+    [
+      'https://www.example.com/about?a=1&b=2',
+      'https://www.example.com/blog/first-post',
+      'https://www.example.com/blog/second-post'
+    ],
+    entries.map(entry => entry.url)
+  )
+  t.deepEqual([{ url: `${baseUrl}/sitemap-missing.xml`, reason: 'sitemap' }], MainMock.skipped)
+})
+
+test('3. Unreachable sitemaps must throw an error', async t => {
+  await t.throwsAsync(sitemap.getEntries(`${baseUrl}/missing.xml`, MainMock))
+})
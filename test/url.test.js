@@ -0,0 +1,43 @@
+const test = require('ava')
+const { normalize, matchesPattern } = require('../src/utils/url')
+
+const options = {
+  stripParams: ['utm_*', 'fbclid'],
+  trailingSlash: 'remove'
+}
+
+test('1. Variants of the same URL must be normalized identically', t => {
+  const base = 'https://WWW.example.com:443/blog'
+  const expected = 'https://www.example.com/blog?page=2'
+  t.is(expected, normalize('/blog?page=2', base, options))
+  t.is(expected, normalize('/blog?page=2#top', base, options))
+  t.is(expected, normalize('/blog/?utm_source=x&page=2', base, options))
+  t.is(expected, normalize('?page=2&fbclid=123', base, options))
+})
+
+test('2. Query args must be sorted', t => {
+  t.is(
+    'https://www.example.com/search?a=2&b=1&b=3',
+    normalize('https://www.example.com/search?b=3&a=2&b=1', null, options)
+  )
+})
+
+test('3. Trailing slashes must be handled according to options', t => {
+  t.is('https://www.example.com/', normalize('https://www.example.com', null, options))
+  t.is('https://www.example.com/blog/', normalize('https://www.example.com/blog', null, { trailingSlash: 'add' }))
+  t.is('https://www.example.com/blog/', normalize('https://www.example.com/blog/', null, { trailingSlash: 'keep' }))
+})
+
+test('4. Links that cannot be navigated to must be ignored', t => {
+  t.is(undefined, normalize('mailto:contact@example.com', 'https://www.example.com/', options))
+  t.is(undefined, normalize('javascript:void(0)', 'https://www.example.com/', options))
+})
+
+test('5. URLs must match glob and regex patterns', t => {
+  t.true(matchesPattern('https://www.example.com/blog/my-post', '/blog/*'))
+  t.false(matchesPattern('https://www.example.com/blog/2020/my-post', '/blog/*'))
+  t.true(matchesPattern('https://www.example.com/blog/2020/my-post', '/blog/**'))
+  t.true(matchesPattern('https://shop.example.com/cart', 'https://*.example.com/**'))
+  t.true(matchesPattern('https://www.example.com/BLOG', '/\\/blog$/i'))
+  t.false(matchesPattern('https://www.example.com/news', '/\\/blog/'))
+})
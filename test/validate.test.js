@@ -0,0 +1,86 @@
+const test = require('ava')
+const { validate } = require('../src/validate')
+const SimpleScraps = require('../src/Main')
+const nestedComponentsConfig = require('./config/components_nested.json')
+
+// Returns the problem reported for given JSON path.
+const find = (problems, path) => problems.find(problem => problem.path === path)
+
+test('1. A valid config must not have any problems', t => {
+  t.deepEqual([], validate(nestedComponentsConfig))
+})
+
+test('2. Every problem must be reported with its JSON path and a suggestion', t => {
+  const problems = validate({
+    settings: {
+      maxParalelPages: 2,
+      crawlDelay: 'slow',
+      engine: 'statik'
+    },
+    start: [
+      {
+        url: 'https://www.example.com/blog',
+        follow: [
+          { selector: '.articles a', to: 'content/blgo' },
+          { selector: '.pager a', to: 'follow', profile: 'mobil' }
+        ]
+      },
+      { url: 'https://www.example.com/about' }
+    ],
+    'content/blog': [
+      { selector: 'h1', extract: 'txt', as: 'entity.title' },
+      { selector: '.tags a', extract: 'attribute', as: 'entity.tags' }
+    ],
+    components: [
+      {
+        selector: '.media-grid',
+        extract: [
+          { selector: '.item img', extract: 'markup', as: 'component.MediaGrid.items[].image' },
+          { selector: '.item h2', extract: 'text' }
+        ],
+        multiFieldScopes: { itmes: '.item' },
+        as: 'component.MediaGrid'
+      },
+      {
+        select: "[...document.querySelectorAll('.card')].map(e => e.parentElement",
+        extract: 'components',
+        as: 'component.Card.content'
+      }
+    ]
+  })
+
+  t.is("Did you mean 'maxParallelPages' ?", find(problems, '$.settings.maxParalelPages').suggestion)
+  t.truthy(find(problems, '$.settings.crawlDelay'))
+  t.is("Did you mean 'static' ?", find(problems, '$.settings.engine').suggestion)
+  t.is("Did you mean 'content/blog' ?", find(problems, '$.start[0].follow[0].to').suggestion)
+  t.is("Did you mean 'mobile' ?", find(problems, '$.start[0].follow[1].profile').suggestion)
+  t.truthy(find(problems, '$.start[1]'))
+  t.is("Did you mean 'text' ?", find(problems, "$['content/blog'][0].extract").suggestion)
+  t.truthy(find(problems, "$['content/blog'][1].attribute"))
+  t.truthy(find(problems, '$.components[0].extract[1].as'))
+  t.is("Did you mean 'items' ?", find(problems, '$.components[0].multiFieldScopes.itmes').suggestion)
+  t.truthy(find(problems, '$.components[1].select'))
+  t.is(11, problems.length)
+})
+
+test('3. Invalid configs must be rejected before opening any page', async t => {
+  const scraps = new SimpleScraps({
+    settings: { engine: 'static' },
+    start: [{ url: 'https://www.example.com', extract: [{ selector: 'h1', extract: 'text' }] }]
+  })
+  const error = await t.throwsAsync(() => scraps.init())
+  t.is('$.start[0].extract[0].as', error.problems[0].path)
+  t.is(0, scraps.pages.length)
+})
+
+test('4. Form login must be rejected with the static engine', t => {
+  const form = { url: 'https://www.example.com/login', fields: [{ selector: '#name', env: 'USER' }], submit: '#submit' }
+  const problems = validate({
+    settings: { auth: { form }, contexts: { 'account-b': { auth: { form } } } },
+    start: [{ url: 'https://www.example.com', engine: 'static', extract: [{ selector: 'h1', extract: 'text', as: 'entity.title' }] }]
+  })
+  t.deepEqual(
+    ['$.settings.auth.form', "$.settings.contexts['account-b'].auth.form"],
+    problems.map(problem => problem.path)
+  )
+})